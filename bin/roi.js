@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// ============================================================================
+// Command-line interface for the calculation engine
+// ============================================================================
+// Usage: roi calc --price 32600000 --down-payment 6400000 --rate 8.25 \
+//                 --tenure 20 --rent 55000 [--input listing.json] [--json]
+
+import { readFileSync } from 'node:fs';
+import { LoanCalculator, INPUT_FIELDS, BOOLEAN_INPUT_FIELDS, parseInputValue } from '../engine.js';
+
+const USAGE = `Usage: roi calc [options]
+
+Runs the loan and rental calculation and prints a summary with a yearly table.
+
+Options:
+  --input <file>         Read inputs from a JSON file; flags override its values
+  --json                 Print the full calculate() result as JSON
+  --price <amount>       Property price
+  --down-payment <amt>   Down payment (alias --down)
+  --rate <percent>       Annual interest rate (alias --interest-rate)
+  --tenure <years>       Loan tenure in years (alias --loan-tenure)
+  --rent <amount>        Monthly rent (alias --monthly-rent)
+  --escalation <pct>     Yearly rent escalation (alias --rent-escalation)
+  --appreciation <pct>   Yearly property appreciation (alias --property-appreciation)
+  --property-tax <amt>   Yearly property tax
+  --income <amount>      Net monthly income, for loan eligibility (alias --monthly-income)
+  --age <years>          Borrower age (alias --borrower-age)
+  --help                 Show this message
+
+Any other calculator input can be passed as --kebab-case or --camelCase,
+e.g. --exit-year 10, --tax-regime old, --prepayments '[{"month":24,"amount":500000}]',
+--refinance-month 36 --refinance-rate 7.5 --refinance-tenure 17.`;
+
+// Short flag names for the most common inputs
+const FLAG_ALIASES = {
+    rent: 'monthlyRent',
+    rate: 'interestRate',
+    tenure: 'loanTenure',
+    escalation: 'rentEscalation',
+    appreciation: 'propertyAppreciation',
+    down: 'downPayment',
+    income: 'monthlyIncome',
+    age: 'borrowerAge'
+};
+
+const REQUIRED_FIELDS = ['price', 'interestRate', 'loanTenure', 'monthlyRent'];
+
+// Core inputs the form always sends; zero when not given on the command line
+const DEFAULT_INPUTS = { downPayment: 0, rentEscalation: 0, propertyTax: 0, propertyAppreciation: 0 };
+
+/**
+ * Map a command-line flag to a calculator input name
+ * @param {string} flag - Flag without the leading dashes
+ * @returns {string|null} Input field name, or null if unknown
+ */
+function flagToField(flag) {
+    const camel = flag.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+    if (FLAG_ALIASES[camel]) {
+        return FLAG_ALIASES[camel];
+    }
+    return INPUT_FIELDS.includes(camel) ? camel : null;
+}
+
+/**
+ * Parse the arguments after the command name
+ * @param {array} args - Raw arguments
+ * @returns {object} {inputs, inputFile, json, help}
+ * @throws {Error} On unknown flags, missing values or unreadable numbers
+ */
+function parseArgs(args) {
+    const options = { inputs: {}, inputFile: null, json: false, help: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (flag === 'json') {
+            options.json = true;
+            continue;
+        }
+        if (flag === 'help') {
+            options.help = true;
+            continue;
+        }
+
+        const field = flag === 'input' ? 'input' : flagToField(flag);
+        if (!field) {
+            throw new Error(`Unknown option --${flag}`);
+        }
+
+        let value = inlineValue;
+        if (value === undefined) {
+            // A boolean flag may be given on its own
+            if (BOOLEAN_INPUT_FIELDS.includes(field) && (i + 1 >= args.length || args[i + 1].startsWith('--'))) {
+                value = 'true';
+            } else if (i + 1 < args.length) {
+                value = args[++i];
+            } else {
+                throw new Error(`Missing value for --${flag}`);
+            }
+        }
+
+        if (field === 'input') {
+            options.inputFile = value;
+        } else {
+            options.inputs[field] = parseInputValue(field, value);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read calculator inputs from a JSON file
+ * @param {string} file - Path to a JSON object of input fields
+ * @returns {object} Parsed inputs
+ * @throws {Error} If the file cannot be read or has unknown fields
+ */
+function readInputFile(file) {
+    let raw;
+    try {
+        raw = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`${file} must contain a JSON object of inputs`);
+    }
+
+    const inputs = {};
+    Object.entries(raw).forEach(([field, value]) => {
+        if (!INPUT_FIELDS.includes(field)) {
+            throw new Error(`${file}: unknown input "${field}"`);
+        }
+        if (value !== null && value !== '') {
+            inputs[field] = parseInputValue(field, value);
+        }
+    });
+    return inputs;
+}
+
+/**
+ * Format a rupee amount the way the web app does (Indian digit grouping)
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+function formatAmount(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return '-';
+    }
+    return '₹' + Math.round(value).toLocaleString('en-IN');
+}
+
+/**
+ * Lay out rows as a plain-text table with right-aligned columns
+ * @param {array} headers - Column headings
+ * @param {array} rows - Rows of cell strings
+ * @returns {string} Table text
+ */
+function formatTable(headers, rows) {
+    const widths = headers.map((header, col) => Math.max(header.length, ...rows.map(row => row[col].length)));
+    const line = cells => cells.map((cell, col) => cell.padStart(widths[col])).join('  ');
+    return [line(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Human-readable summary and yearly table of a calculation
+ * @param {object} results - Output of LoanCalculator.calculate()
+ * @returns {string} Report text
+ */
+function formatReport(results) {
+    const { returns } = results;
+    const summary = [
+        ['Monthly EMI', formatAmount(results.emi)],
+        ['Loan Closes In', `${results.loanClosureMonth} months`],
+        ['Total Interest Paid', formatAmount(results.interestPaidCumulative[results.interestPaidCumulative.length - 1])],
+        ['Cash Needed on Day One', formatAmount(results.acquisitionCosts.cashNeededOnDayOne)],
+        ['Out-of-Pocket Money', formatAmount(results.outOfPocketMoney)],
+        ['Break-Even Year', results.breakEvenYear ? `Year ${results.breakEvenYear}` : 'Never'],
+        ['Final Property Value', formatAmount(results.finalPropertyValue)],
+        ['Net Wealth Gain', formatAmount(results.realisedGain)],
+        ['Equity IRR', returns.irr === null ? '-' : `${returns.irr.toFixed(2)}%`]
+    ];
+    if (results.eligibility) {
+        const { maxLoan, downPaymentSufficient, shortfall, foirPct } = results.eligibility;
+        summary.push(
+            ['Max Eligible Loan', formatAmount(maxLoan)],
+            ['Down Payment', downPaymentSufficient ? 'Enough' : `Short by ${formatAmount(shortfall)}`],
+            ['FOIR', `${foirPct.toFixed(2)}%`]
+        );
+    }
+    if (results.refinanceImpact) {
+        const { switchingCost, newEMI, interestSaved, breakEvenMonth } = results.refinanceImpact;
+        summary.push(
+            ['Balance Transfer Costs', formatAmount(switchingCost)],
+            ['EMI After Transfer', formatAmount(newEMI)],
+            ['Interest Saved by Transfer', formatAmount(interestSaved)],
+            ['Transfer Breaks Even', breakEvenMonth ? `Month ${breakEvenMonth}` : 'Never']
+        );
+    }
+    const labelWidth = Math.max(...summary.map(([label]) => label.length));
+
+    const yearly = results.yearLabels.map((label, index) => [
+        label,
+        formatAmount(results.emiPaidYearly[index]),
+        formatAmount(results.interestPaidYearly[index]),
+        formatAmount(results.principalRemaining[index]),
+        formatAmount(results.rentalIncomeYearly[index]),
+        formatAmount(results.afterTaxCashFlowYearly[index]),
+        formatAmount(results.netPosition[index])
+    ]);
+
+    return [
+        ...summary.map(([label, value]) => `${label.padEnd(labelWidth)}  ${value}`),
+        '',
+        formatTable(['Year', 'EMI Paid', 'Interest', 'Principal Left', 'Rent', 'Cash Flow', 'Net Position'], yearly)
+    ].join('\n');
+}
+
+/**
+ * Entry point
+ * @param {array} argv - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    const [command, ...args] = argv;
+
+    if (!command || command === '--help' || command === 'help') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (command !== 'calc') {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return 1;
+    }
+
+    try {
+        const options = parseArgs(args);
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+
+        const fileInputs = options.inputFile ? readInputFile(options.inputFile) : {};
+        const inputs = { ...DEFAULT_INPUTS, ...fileInputs, ...options.inputs };
+
+        const missing = REQUIRED_FIELDS.filter(field => inputs[field] === undefined);
+        if (missing.length) {
+            throw new Error(`Missing required input: ${missing.join(', ')}`);
+        }
+
+        const calculator = new LoanCalculator(inputs);
+        const validation = calculator.validateInputs();
+        validation.warnings.forEach(({ field, message }) => console.error(`Warning: ${field}: ${message}`));
+        if (!validation.isValid) {
+            validation.errors.forEach(({ field, message }) => console.error(`Error: ${field}: ${message}`));
+            return 1;
+        }
+
+        const results = calculator.calculate();
+        console.log(options.json ? JSON.stringify(results, null, 2) : formatReport(results));
+        return 0;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
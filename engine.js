@@ -0,0 +1,2701 @@
+// ============================================================================
+// Real Estate Loan & Rental Calculation Engine
+// ============================================================================
+// No DOM dependency: imported by script.js, the simulation worker, the CLI
+// (bin/roi.js) and the unit tests.
+
+/**
+ * Indian income-tax rules used for after-tax cash flows (FY 2025-26).
+ * Slabs are applied to total taxable income; cess is added on top.
+ * Surcharge and the Section 87A rebate are not modelled.
+ */
+export const INCOME_TAX_RULES = {
+    slabs: {
+        old: [
+            { upTo: 250000, rate: 0 },
+            { upTo: 500000, rate: 5 },
+            { upTo: 1000000, rate: 20 },
+            { upTo: Infinity, rate: 30 }
+        ],
+        new: [
+            { upTo: 400000, rate: 0 },
+            { upTo: 800000, rate: 5 },
+            { upTo: 1200000, rate: 10 },
+            { upTo: 1600000, rate: 15 },
+            { upTo: 2000000, rate: 20 },
+            { upTo: 2400000, rate: 25 },
+            { upTo: Infinity, rate: 30 }
+        ]
+    },
+    cessPct: 4,
+    standardDeductionPct: 30,            // Section 24(a), on net annual value of let-out property
+    selfOccupiedInterestCap: 200000,     // Section 24(b), self-occupied property (old regime only)
+    houseLossSetOffCap: 200000,          // Loss under "house property" set off against other income
+    lossCarryForwardYears: 8,
+    section80CCap: 150000,               // Principal repayment, shared with other 80C investments
+    longTermHoldingMonths: 24,           // Property held longer than this is a long-term asset
+    ltcgRatePct: 12.5                    // Long-term capital gains, without indexation
+};
+
+// ============================================================================
+// Input Fields
+// ============================================================================
+
+/**
+ * Every input LoanCalculator understands. The first eight are required; an
+ * optional field that is left out behaves like a blank form field: zero, or
+ * "not set" for optional settings.
+ */
+export const INPUT_FIELDS = [
+    'price', 'downPayment', 'interestRate', 'monthlyRent', 'rentEscalation', 'loanTenure', 'propertyTax',
+    'propertyAppreciation', 'propertyTaxInflation', 'maintenanceMonthly', 'maintenanceInflation', 'insuranceAnnual',
+    'insuranceInflation', 'managementFeePct', 'repairsPct', 'capexItems', 'leaseMonths', 'vacancyMonths',
+    'tenantBrokerageMonths', 'badDebtPct', 'taxRegime', 'occupancyType', 'otherTaxableIncome', 'other80CInvestments',
+    'exitYear', 'sellingBrokeragePct', 'foreclosureChargePct', 'underConstruction', 'possessionMonth', 'fitOutMonths',
+    'disbursements', 'acquisitionState', 'stampDutyPct', 'registrationPct', 'registrationCap', 'gstPct',
+    'loanProcessingFeePct', 'legalFees', 'purchaseBrokeragePct', 'furnishingCost', 'discountRate', 'alternativeReturn',
+    'startDate', 'prepayments', 'rateSchedule', 'rateResetMode', 'monthlyIncome', 'existingEMIs', 'borrowerAge',
+    'retirementAge', 'foirLimitPct', 'rentCountedPct', 'refinanceMonth', 'refinanceRate', 'refinanceTenure',
+    'refinanceFeePct', 'refinanceLegalFees', 'refinanceStampDutyPct'
+];
+
+// Inputs that are not plain numbers
+export const TEXT_INPUT_FIELDS = ['taxRegime', 'occupancyType', 'rateResetMode', 'startDate', 'acquisitionState'];
+export const BOOLEAN_INPUT_FIELDS = ['underConstruction'];
+export const LIST_INPUT_FIELDS = ['capexItems', 'disbursements', 'prepayments', 'rateSchedule'];
+const NON_NUMERIC_INPUT_FIELDS = [...TEXT_INPUT_FIELDS, ...BOOLEAN_INPUT_FIELDS, ...LIST_INPUT_FIELDS];
+
+/**
+ * Convert a raw value from a CSV cell, JSON file or command-line flag to
+ * the type LoanCalculator expects for the field
+ * @param {string} field - Input field name
+ * @param {*} value - Raw value
+ * @returns {*} Number, string, boolean or array of row objects
+ * @throws {Error} If a number or list cannot be read
+ */
+export function parseInputValue(field, value) {
+    if (LIST_INPUT_FIELDS.includes(field)) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new Error(`${field} must be a JSON array`);
+        }
+    }
+
+    if (BOOLEAN_INPUT_FIELDS.includes(field)) {
+        return value === true || /^(true|yes|1|on)$/i.test(String(value).trim());
+    }
+
+    if (TEXT_INPUT_FIELDS.includes(field)) {
+        return String(value).trim();
+    }
+
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+    if (Number.isNaN(number)) {
+        throw new Error(`${field}: "${value}" is not a number`);
+    }
+    return number;
+}
+
+// ============================================================================
+// Input Validation
+// ============================================================================
+
+/**
+ * RBI loan-to-value caps for home loans, by loan amount
+ * (loan as a share of the property price, excluding stamp duty and registration)
+ */
+export const RBI_LTV_LIMITS = [
+    { upTo: 3000000, maxPct: 90 },
+    { upTo: 7500000, maxPct: 80 },
+    { upTo: Infinity, maxPct: 75 }
+];
+
+/**
+ * Highest loan-to-value RBI allows for a loan amount
+ * @param {number} loanAmount - Loan amount
+ * @returns {number} Maximum LTV (%)
+ */
+export function maxLoanToValue(loanAmount) {
+    return RBI_LTV_LIMITS.find(slab => loanAmount <= slab.upTo).maxPct;
+}
+
+/**
+ * Largest loan RBI's LTV caps allow against a property price. The cap
+ * depends on the loan amount, so each slab is tried within its own range.
+ * @param {number} price - Property price
+ * @returns {number} Maximum loan amount
+ */
+export function maxLoanForPrice(price) {
+    let lowerBound = 0;
+    let maxLoan = 0;
+    RBI_LTV_LIMITS.forEach((slab) => {
+        const loan = Math.min(slab.upTo, price * slab.maxPct / 100);
+        if (loan > lowerBound) {
+            maxLoan = Math.max(maxLoan, loan);
+        }
+        lowerBound = slab.upTo;
+    });
+    return maxLoan;
+}
+
+/**
+ * Lender assumptions used for loan eligibility when the inputs leave them blank
+ */
+export const ELIGIBILITY_DEFAULTS = {
+    foirLimitPct: 50,       // EMIs (existing + new) as a share of eligible income
+    retirementAge: 60,      // The loan must be repaid by this age
+    rentCountedPct: 70      // Share of the expected rent a lender adds to income
+};
+
+/**
+ * Sane ranges for the main rate and tenure inputs. Values outside them are
+ * almost certainly typing mistakes (e.g. 200% interest or a 90-year loan).
+ */
+export const INPUT_LIMITS = {
+    interestRate: { min: 0, max: 30 },
+    loanTenure: { min: 1, max: 40 },
+    rentEscalation: { min: 0, max: 50 },
+    propertyAppreciation: { min: -50, max: 50 }
+};
+
+// Inputs the form always sends, with the name used in messages
+const REQUIRED_INPUTS = {
+    price: 'Property price',
+    downPayment: 'Down payment',
+    interestRate: 'Interest rate',
+    loanTenure: 'Loan tenure',
+    monthlyRent: 'Monthly rent',
+    rentEscalation: 'Rent escalation',
+    propertyTax: 'Property tax',
+    propertyAppreciation: 'Property appreciation'
+};
+
+// Names of optional inputs that do not read well split at their capitals
+const INPUT_LABELS = {
+    other80CInvestments: 'Other 80C investments',
+    gstPct: 'GST (%)',
+    foirLimitPct: 'FOIR limit (%)'
+};
+
+/**
+ * Readable name of an input for messages, e.g. managementFeePct -> "Management fee (%)"
+ * @param {string} field - LoanCalculator input name
+ * @returns {string} Label
+ */
+function inputLabel(field) {
+    const fromName = () => field
+        .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+        .split(' ')
+        // Keep acronyms such as EMIs; lower-case the other words after the first
+        .map((word, index) => index > 0 && !/^[A-Z]{2,}/.test(word) ? word.toLowerCase() : word)
+        .join(' ')
+        .replace(/^./, char => char.toUpperCase())
+        .replace(/ pct$/, ' (%)');
+    return REQUIRED_INPUTS[field] || INPUT_LABELS[field] || fromName();
+}
+
+// Rental yields outside this range (% of price a year) are flagged
+const REALISTIC_YIELD_PCT = { min: 1, max: 10 };
+
+// Rent below this share of the EMI is flagged
+const MIN_RENT_TO_EMI_PCT = 20;
+
+const formatRupees = value => '₹' + Math.round(value).toLocaleString('en-IN');
+
+/**
+ * Validation rules, checked in order. Each rule belongs to one input field
+ * and returns a message when the inputs break it, or null. Errors block the
+ * calculation; warnings are only checked once there are no errors, as they
+ * rely on valid numbers.
+ * @type {array} [{field, level: 'error' | 'warning', check(inputs, calculator)}]
+ */
+export const VALIDATION_RULES = [
+    // Required inputs left blank arrive as NaN
+    ...Object.entries(REQUIRED_INPUTS).map(([field, label]) => ({
+        field,
+        level: 'error',
+        check: inputs => Number.isFinite(inputs[field]) ? null : `${label} is required`
+    })),
+    {
+        field: 'price',
+        level: 'error',
+        check: ({ price }) => price > 0 ? null : 'Property price must be more than zero'
+    },
+    {
+        field: 'downPayment',
+        level: 'error',
+        check: ({ downPayment }) => downPayment >= 0 ? null : 'Down payment cannot be negative'
+    },
+    {
+        field: 'downPayment',
+        level: 'error',
+        check: ({ downPayment, price }) => downPayment > price ? 'Down Payment cannot be greater than Property Price' : null
+    },
+    {
+        field: 'interestRate',
+        level: 'error',
+        check: ({ interestRate }) => interestRate >= INPUT_LIMITS.interestRate.min && interestRate <= INPUT_LIMITS.interestRate.max
+            ? null
+            : `Interest rate must be between ${INPUT_LIMITS.interestRate.min}% and ${INPUT_LIMITS.interestRate.max}%`
+    },
+    {
+        field: 'loanTenure',
+        level: 'error',
+        check: ({ loanTenure }) => Number.isInteger(loanTenure) && loanTenure >= INPUT_LIMITS.loanTenure.min && loanTenure <= INPUT_LIMITS.loanTenure.max
+            ? null
+            : `Loan tenure must be a whole number of years between ${INPUT_LIMITS.loanTenure.min} and ${INPUT_LIMITS.loanTenure.max}`
+    },
+    {
+        field: 'monthlyRent',
+        level: 'error',
+        check: ({ monthlyRent }) => monthlyRent >= 0 ? null : 'Monthly rent cannot be negative'
+    },
+    {
+        field: 'monthlyRent',
+        level: 'error',
+        check: ({ monthlyRent, occupancyType }) => occupancyType === 'self-occupied' && monthlyRent > 0
+            ? 'A self-occupied home earns no rent: set the rent to 0 or choose "Let out"'
+            : null
+    },
+    {
+        field: 'rentEscalation',
+        level: 'error',
+        check: ({ rentEscalation }) => rentEscalation >= INPUT_LIMITS.rentEscalation.min && rentEscalation <= INPUT_LIMITS.rentEscalation.max
+            ? null
+            : `Rent escalation must be between ${INPUT_LIMITS.rentEscalation.min}% and ${INPUT_LIMITS.rentEscalation.max}% a year`
+    },
+    {
+        field: 'propertyAppreciation',
+        level: 'error',
+        check: ({ propertyAppreciation }) => propertyAppreciation >= INPUT_LIMITS.propertyAppreciation.min
+            && propertyAppreciation <= INPUT_LIMITS.propertyAppreciation.max
+            ? null
+            : `Property appreciation must be between ${INPUT_LIMITS.propertyAppreciation.min}% and ${INPUT_LIMITS.propertyAppreciation.max}% a year`
+    },
+    // Optional numbers may be left out, but not set to something unreadable
+    ...INPUT_FIELDS
+        .filter(field => !REQUIRED_INPUTS[field] && !NON_NUMERIC_INPUT_FIELDS.includes(field))
+        .map(field => ({
+            field,
+            level: 'error',
+            check: inputs => inputs[field] === undefined || inputs[field] === null || Number.isFinite(inputs[field])
+                ? null
+                : `${inputLabel(field)} must be a number`
+        })),
+    ...['monthlyIncome', 'existingEMIs'].map(field => ({
+        field,
+        level: 'error',
+        check: inputs => inputs[field] < 0 ? 'Cannot be negative' : null
+    })),
+    {
+        field: 'borrowerAge',
+        level: 'error',
+        check: ({ borrowerAge }) => borrowerAge === null || borrowerAge === undefined
+            || (Number.isInteger(borrowerAge) && borrowerAge >= 18 && borrowerAge <= 80)
+            ? null
+            : 'Age must be a whole number between 18 and 80'
+    },
+    {
+        field: 'retirementAge',
+        level: 'error',
+        check: ({ borrowerAge, retirementAge }) => {
+            // A blank retirement age falls back to the default, as in calculateEligibility
+            const age = retirementAge ?? ELIGIBILITY_DEFAULTS.retirementAge;
+            if (!(age >= 18 && age <= 85)) {
+                return 'Retirement age must be between 18 and 85';
+            }
+            return borrowerAge >= age ? `The borrower must be younger than the retirement age of ${age}` : null;
+        }
+    },
+    ...['foirLimitPct', 'rentCountedPct'].map(field => ({
+        field,
+        level: 'error',
+        check: ({ [field]: value }) => value === null || value === undefined || (value >= 0 && value <= 100)
+            ? null
+            : 'Must be between 0% and 100%'
+    })),
+    {
+        field: 'prepayments',
+        level: 'error',
+        check: (inputs) => {
+            const totalMonths = inputs.loanTenure * 12;
+            for (const prepayment of inputs.prepayments || []) {
+                if (!(prepayment.amount > 0)) {
+                    return 'Each prepayment needs a positive amount';
+                }
+                if (!(prepayment.month >= 1 && prepayment.month <= totalMonths)) {
+                    return `Prepayment month must be between 1 and ${totalMonths}`;
+                }
+                if (prepayment.type === 'recurring' && !(prepayment.frequency >= 1)) {
+                    return 'Recurring prepayments need a frequency of at least 1 month';
+                }
+            }
+            return null;
+        }
+    },
+    ...['leaseMonths', 'vacancyMonths', 'tenantBrokerageMonths'].map(field => ({
+        field,
+        level: 'error',
+        check: inputs => inputs[field] < 0 ? 'Must be zero or more months' : null
+    })),
+    {
+        field: 'badDebtPct',
+        level: 'error',
+        check: ({ badDebtPct = 0 }) => badDebtPct >= 0 && badDebtPct <= 100 ? null : 'Bad debt must be between 0% and 100%'
+    },
+    {
+        field: 'vacancyMonths',
+        level: 'error',
+        check: ({ vacancyMonths = 0, leaseMonths = 0 }) => vacancyMonths > 0 && leaseMonths === 0
+            ? 'Enter a lease length to model vacancy between tenants'
+            : null
+    },
+    {
+        field: 'taxRegime',
+        level: 'error',
+        check: ({ taxRegime }) => taxRegime && !INCOME_TAX_RULES.slabs[taxRegime] ? 'Tax regime must be old or new' : null
+    },
+    {
+        field: 'otherTaxableIncome',
+        level: 'error',
+        check: ({ otherTaxableIncome }) => otherTaxableIncome < 0 ? 'Taxable income cannot be negative' : null
+    },
+    {
+        field: 'other80CInvestments',
+        level: 'error',
+        check: ({ other80CInvestments }) => other80CInvestments < 0 ? '80C investments cannot be negative' : null
+    },
+    {
+        field: 'exitYear',
+        level: 'error',
+        check: ({ exitYear }) => exitYear && !(Number.isInteger(exitYear) && exitYear >= 1 && exitYear <= 50)
+            ? 'Exit year must be a whole number between 1 and 50'
+            : null
+    },
+    ...['foreclosureChargePct', 'sellingBrokeragePct'].map(field => ({
+        field,
+        level: 'error',
+        check: ({ [field]: value = 0 }) => value >= 0 && value <= 100 ? null : 'Must be between 0% and 100%'
+    })),
+    {
+        field: 'startDate',
+        level: 'error',
+        check: ({ startDate }) => startDate && isNaN(new Date(startDate).getTime()) ? 'Start date is not a valid date' : null
+    },
+    ...['stampDutyPct', 'registrationPct', 'registrationCap', 'gstPct', 'loanProcessingFeePct', 'legalFees',
+        'purchaseBrokeragePct', 'furnishingCost'].map(field => ({
+        field,
+        level: 'error',
+        check: inputs => inputs[field] < 0 ? 'Acquisition costs cannot be negative' : null
+    })),
+    {
+        field: 'possessionMonth',
+        level: 'error',
+        check: ({ underConstruction, possessionMonth }) => underConstruction
+            && !(Number.isInteger(possessionMonth) && possessionMonth >= 1 && possessionMonth <= 120)
+            ? 'Possession must be a whole number of months between 1 and 120'
+            : null
+    },
+    {
+        field: 'fitOutMonths',
+        level: 'error',
+        check: ({ underConstruction, fitOutMonths = 0 }) => underConstruction && !(fitOutMonths >= 0)
+            ? 'Fit-out period cannot be negative'
+            : null
+    },
+    {
+        field: 'disbursements',
+        level: 'error',
+        check: ({ underConstruction, possessionMonth, disbursements = [] }) => {
+            if (!underConstruction) {
+                return null;
+            }
+            for (const tranche of disbursements) {
+                if (!(tranche.month >= 1 && tranche.month <= possessionMonth) || !(tranche.percent > 0)) {
+                    return `Each disbursement needs a positive % and a month between 1 and ${possessionMonth}`;
+                }
+            }
+            if (disbursements.reduce((sum, tranche) => sum + tranche.percent, 0) > 100) {
+                return 'Disbursements cannot add up to more than 100% of the loan';
+            }
+            return null;
+        }
+    },
+    ...['propertyTax', 'maintenanceMonthly', 'insuranceAnnual', 'managementFeePct', 'repairsPct'].map(field => ({
+        field,
+        level: 'error',
+        check: inputs => inputs[field] < 0 ? 'Operating expenses cannot be negative' : null
+    })),
+    {
+        field: 'capexItems',
+        level: 'error',
+        check: (inputs) => {
+            for (const item of inputs.capexItems || []) {
+                if (!(item.amount >= 0) || !(item.everyYears >= 1)) {
+                    return 'Each one-off expense needs an amount and a repeat interval of at least 1 year';
+                }
+            }
+            return null;
+        }
+    },
+    {
+        field: 'rateSchedule',
+        level: 'error',
+        check: (inputs, calculator) => {
+            const preEMIYears = Math.ceil(calculator.getPreEMIMonths() / 12);
+            const lastLoanYear = inputs.loanTenure + (Number.isFinite(preEMIYears) ? preEMIYears : 0);
+            for (const reset of inputs.rateSchedule || []) {
+                if (!(reset.fromYear >= 1 && reset.fromYear <= lastLoanYear)) {
+                    return `Rate reset year must be between 1 and ${lastLoanYear}`;
+                }
+                if (!(reset.rate >= INPUT_LIMITS.interestRate.min && reset.rate <= INPUT_LIMITS.interestRate.max)) {
+                    return `Each rate reset needs an interest rate between ${INPUT_LIMITS.interestRate.min}% and ${INPUT_LIMITS.interestRate.max}%`;
+                }
+            }
+            return null;
+        }
+    },
+    {
+        field: 'refinanceMonth',
+        level: 'error',
+        check: ({ refinanceMonth, loanTenure }) => !refinanceMonth
+            || (Number.isInteger(refinanceMonth) && refinanceMonth >= 1 && refinanceMonth < loanTenure * 12)
+            ? null
+            : `Refinance month must be a whole number between 1 and ${loanTenure * 12 - 1}`
+    },
+    {
+        field: 'refinanceRate',
+        level: 'error',
+        check: ({ refinanceMonth, refinanceRate }) => !refinanceMonth
+            || (Number.isFinite(refinanceRate) && refinanceRate >= INPUT_LIMITS.interestRate.min && refinanceRate <= INPUT_LIMITS.interestRate.max)
+            ? null
+            : `Enter the new interest rate, between ${INPUT_LIMITS.interestRate.min}% and ${INPUT_LIMITS.interestRate.max}%`
+    },
+    {
+        field: 'refinanceTenure',
+        level: 'error',
+        check: ({ refinanceMonth, refinanceTenure }) => !refinanceMonth
+            || (Number.isInteger(refinanceTenure) && refinanceTenure >= INPUT_LIMITS.loanTenure.min
+                && refinanceTenure <= INPUT_LIMITS.loanTenure.max)
+            ? null
+            : `Enter the new tenure, a whole number of years between ${INPUT_LIMITS.loanTenure.min} and ${INPUT_LIMITS.loanTenure.max}`
+    },
+    ...['refinanceFeePct', 'refinanceLegalFees', 'refinanceStampDutyPct'].map(field => ({
+        field,
+        level: 'error',
+        check: inputs => inputs[field] < 0 ? 'Switching costs cannot be negative' : null
+    })),
+
+    // Warnings: the inputs are usable but look unlikely
+    {
+        field: 'loanTenure',
+        level: 'warning',
+        check: (inputs, calculator) => {
+            const eligibility = calculator.calculateEligibility();
+            return eligibility && !eligibility.tenureWithinLimit
+                ? `The loan would run past retirement; lenders allow at most ${eligibility.maxTenure} years at this age`
+                : null;
+        }
+    },
+    {
+        field: 'refinanceRate',
+        level: 'warning',
+        check: ({ refinanceMonth, refinanceRate }, calculator) => {
+            if (!refinanceMonth) {
+                return null;
+            }
+            const currentRate = calculator.getRateForMonth(calculator.getPreEMIMonths() + refinanceMonth);
+            return refinanceRate >= currentRate
+                ? `The new rate is not below the ${currentRate}% being paid at the switch, so the switch saves little or no interest`
+                : null;
+        }
+    },
+    {
+        field: 'monthlyIncome',
+        level: 'warning',
+        check: (inputs, calculator) => {
+            const eligibility = calculator.calculateEligibility();
+            return eligibility && eligibility.foirPct > eligibility.foirLimitPct
+                ? `All EMIs would take ${eligibility.foirPct.toFixed(0)}% of eligible income, above the ${eligibility.foirLimitPct}% FOIR limit`
+                : null;
+        }
+    },
+    {
+        field: 'monthlyRent',
+        level: 'warning',
+        check: ({ monthlyRent, price }) => {
+            const yieldPct = monthlyRent * 12 / price * 100;
+            if (monthlyRent === 0 || (yieldPct >= REALISTIC_YIELD_PCT.min && yieldPct <= REALISTIC_YIELD_PCT.max)) {
+                return null;
+            }
+            return `A gross rental yield of ${yieldPct.toFixed(1)}% a year is unrealistic; Indian residential property usually yields 2-5%`;
+        }
+    },
+    {
+        field: 'monthlyRent',
+        level: 'warning',
+        check: ({ monthlyRent }, calculator) => {
+            const emi = calculator.calculateEMI();
+            const coverPct = monthlyRent / emi * 100;
+            return monthlyRent > 0 && emi > 0 && coverPct < MIN_RENT_TO_EMI_PCT
+                ? `Rent covers only ${coverPct.toFixed(0)}% of the ${formatRupees(emi)} EMI`
+                : null;
+        }
+    },
+    {
+        field: 'downPayment',
+        level: 'warning',
+        check: ({ price, downPayment }) => {
+            const loanAmount = price - downPayment;
+            const ltv = loanAmount / price * 100;
+            const maxLTV = maxLoanToValue(loanAmount);
+            if (ltv <= maxLTV) {
+                return null;
+            }
+            return `The loan is ${ltv.toFixed(1)}% of the price, above RBI's ${maxLTV}% limit for a loan of this size; `
+                + `lenders will expect a down payment of at least ${formatRupees(price - maxLoanForPrice(price))}`;
+        }
+    },
+    {
+        field: 'downPayment',
+        level: 'warning',
+        check: (inputs, calculator) => {
+            const eligibility = calculator.calculateEligibility();
+            return eligibility && eligibility.limitedBy === 'income' && !eligibility.downPaymentSufficient
+                ? `Income supports a loan of at most ${formatRupees(eligibility.maxLoan)}, `
+                    + `so the down payment needs to be at least ${formatRupees(eligibility.minDownPayment)}`
+                : null;
+        }
+    }
+];
+
+export class LoanCalculator {
+    constructor(inputs) {
+        this.inputs = inputs;
+        this.charts = {};
+    }
+
+    // Upper bound when a rate reset extends the tenure instead of the EMI
+    static MAX_LOAN_MONTHS = 600;
+
+    /**
+     * Check the inputs against VALIDATION_RULES
+     * @returns {object} {isValid, error, errors, warnings} where errors and warnings
+     *                   are [{field, message}] and error is the first error message
+     */
+    validateInputs() {
+        const errors = [];
+        const warnings = [];
+
+        VALIDATION_RULES.forEach((rule) => {
+            // Report only the first problem with each field, and warnings only for valid inputs
+            const skip = rule.level === 'error'
+                ? errors.some(error => error.field === rule.field)
+                : errors.length > 0;
+            if (skip) {
+                return;
+            }
+
+            const message = rule.check(this.inputs, this);
+            if (message) {
+                (rule.level === 'error' ? errors : warnings).push({ field: rule.field, message });
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            error: errors.length ? errors[0].message : null,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Amount borrowed: the price less the down payment, plus any premium
+     * financed with the loan (financedPremium, set by compareLoanOffers)
+     * @returns {number} Loan principal
+     */
+    getLoanAmount() {
+        return this.inputs.price - this.inputs.downPayment + (this.inputs.financedPremium || 0);
+    }
+
+    /**
+     * Calculate EMI using standard formula: EMI = P × r × (1+r)^n / ((1+r)^n - 1)
+     * where P = Principal, r = monthly rate, n = number of months
+     * @returns {number} Monthly EMI amount
+     */
+    calculateEMI() {
+        const loanAmount = this.getLoanAmount();
+        return this.computeEMI(loanAmount, this.inputs.interestRate, this.inputs.loanTenure * 12);
+    }
+
+    /**
+     * EMI for an arbitrary principal, annual rate and number of months.
+     * Used whenever the EMI has to be recomputed part-way through the loan.
+     * @param {number} principal - Outstanding principal
+     * @param {number} annualRatePercent - Annual interest rate (%)
+     * @param {number} months - Months left to repay
+     * @returns {number} Monthly EMI amount
+     */
+    computeEMI(principal, annualRatePercent, months) {
+        const monthlyRate = annualRatePercent / 100 / 12;
+
+        if (months <= 0) {
+            return principal;
+        }
+
+        // Handle edge case: 0% interest
+        if (monthlyRate === 0) {
+            return principal / months;
+        }
+
+        const numerator = monthlyRate * Math.pow(1 + monthlyRate, months);
+        const denominator = Math.pow(1 + monthlyRate, months) - 1;
+
+        return principal * (numerator / denominator);
+    }
+
+    /**
+     * Total prepayment due in a given month, and whether any of it should
+     * reduce the EMI (the default is to keep the EMI and shorten the tenure)
+     * @param {number} month - 1-based loan month
+     * @returns {object} {amount: number, reduceEMI: boolean}
+     */
+    getPrepaymentForMonth(month) {
+        let amount = 0;
+        let reduceEMI = false;
+
+        (this.inputs.prepayments || []).forEach(prepayment => {
+            let isDue = false;
+
+            if (prepayment.type === 'recurring') {
+                const withinRange = month >= prepayment.month &&
+                    (!prepayment.endMonth || month <= prepayment.endMonth);
+                isDue = withinRange && (month - prepayment.month) % prepayment.frequency === 0;
+            } else {
+                isDue = month === prepayment.month;
+            }
+
+            if (isDue) {
+                amount += prepayment.amount;
+                reduceEMI = reduceEMI || prepayment.mode === 'emi';
+            }
+        });
+
+        return { amount, reduceEMI };
+    }
+
+    /**
+     * Annual interest rate in force for a loan month. Floating-rate loans
+     * supply a rate timeline ({fromYear, rate}); the base interestRate
+     * applies until the first reset.
+     * @param {number} month - 1-based loan month
+     * @returns {number} Annual interest rate (%)
+     */
+    getRateForMonth(month) {
+        const year = Math.ceil(month / 12);
+        let rate = this.inputs.interestRate;
+
+        [...(this.inputs.rateSchedule || [])]
+            .sort((a, b) => a.fromYear - b.fromYear)
+            .forEach(reset => {
+                if (reset.fromYear <= year) {
+                    rate = reset.rate;
+                }
+            });
+
+        return rate;
+    }
+
+    /**
+     * Months needed to repay a principal at a given EMI (rounded up)
+     * @returns {number} Months, or Infinity if the EMI does not cover the interest
+     */
+    monthsToRepay(principal, annualRatePercent, emi) {
+        const monthlyRate = annualRatePercent / 100 / 12;
+
+        if (monthlyRate === 0) {
+            return Math.ceil(principal / emi);
+        }
+
+        if (emi <= principal * monthlyRate) {
+            return Infinity;
+        }
+
+        return Math.ceil(-Math.log(1 - (principal * monthlyRate) / emi) / Math.log(1 + monthlyRate));
+    }
+
+    /**
+     * Generate monthly amortization schedule.
+     * Prepayments are applied after the EMI of their month; the loan then
+     * either closes early (reduce tenure) or the EMI is recomputed over the
+     * months left (reduce EMI).
+     * On a floating-rate reset the bank either recomputes the EMI over the
+     * months left (rateResetMode 'emi') or keeps the EMI and extends the
+     * tenure ('tenure'). If the old EMI no longer covers the interest the
+     * EMI is recomputed regardless.
+     * @returns {array} Monthly schedule with rate, interest, principal, prepayment, remaining principal;
+     *   refinanced marks the first month with the new lender, which also carries the switchingCost
+     */
+    generateAmortizationSchedule() {
+        const loanAmount = this.getLoanAmount();
+        const resetMode = this.inputs.rateResetMode || 'emi';
+        const preEMIMonths = this.getPreEMIMonths();
+        let plannedEndMonth = preEMIMonths + this.inputs.loanTenure * 12;
+        let annualRate = this.getRateForMonth(1);
+        let emi = this.calculateEMI();
+
+        const schedule = [];
+        let remainingPrincipal = 0;
+
+        // Pre-EMI phase: tranches are disbursed against construction
+        // milestones and only the interest on the disbursed amount is paid
+        for (let month = 1; month <= preEMIMonths; month++) {
+            const rate = this.getRateForMonth(month);
+            const rateReset = rate !== annualRate;
+            annualRate = rate;
+
+            const disbursed = Math.min(this.getDisbursementForMonth(month), loanAmount - remainingPrincipal);
+            remainingPrincipal += disbursed;
+            const interest = remainingPrincipal * annualRate / 100 / 12;
+
+            schedule.push({
+                month: month,
+                phase: 'pre-emi',
+                rate: annualRate,
+                rateReset: rateReset,
+                refinanced: false,
+                switchingCost: 0,
+                disbursed: disbursed,
+                emi: interest,
+                interest: interest,
+                principal: 0,
+                prepayment: 0,
+                remaining: remainingPrincipal
+            });
+        }
+
+        // The rest of the loan is disbursed at possession (or on day one) and full EMIs start
+        const disbursedAtStart = loanAmount - remainingPrincipal;
+        remainingPrincipal = loanAmount;
+        if (preEMIMonths > 0) {
+            emi = this.computeEMI(loanAmount, this.getRateForMonth(preEMIMonths + 1), this.inputs.loanTenure * 12);
+        }
+
+        // A balance transfer moves the loan to the new lender after refinanceMonth EMIs
+        const switchMonth = this.inputs.refinanceMonth ? preEMIMonths + this.inputs.refinanceMonth + 1 : null;
+        let refinanced = false;
+
+        for (let month = preEMIMonths + 1; month <= plannedEndMonth && remainingPrincipal > 0.005; month++) {
+            const switching = month === switchMonth;
+            const switchingCost = switching ? this.calculateSwitchingCosts(remainingPrincipal).total : 0;
+            if (switching) {
+                // The outstanding balance is repaid over the new tenure at the new rate;
+                // the original lender's rate resets no longer apply
+                refinanced = true;
+                annualRate = this.inputs.refinanceRate;
+                plannedEndMonth = month - 1 + this.inputs.refinanceTenure * 12;
+                emi = this.computeEMI(remainingPrincipal, annualRate, plannedEndMonth - month + 1);
+            }
+
+            // Handle a floating-rate reset
+            const rate = refinanced ? annualRate : this.getRateForMonth(month);
+            const rateReset = rate !== annualRate;
+
+            if (rateReset) {
+                // Months the current EMI still needs at the old rate, so a reset never undoes
+                // a tenure already shortened by prepayments (the first full EMI was already
+                // set at the new rate, for the whole tenure)
+                const monthsLeft = month === preEMIMonths + 1
+                    ? plannedEndMonth - month + 1
+                    : Math.min(plannedEndMonth - month + 1, this.monthsToRepay(remainingPrincipal, annualRate, emi));
+                annualRate = rate;
+                const monthsNeeded = this.monthsToRepay(remainingPrincipal, annualRate, emi);
+
+                if (resetMode === 'tenure' && monthsNeeded <= LoanCalculator.MAX_LOAN_MONTHS - month + 1) {
+                    plannedEndMonth = month - 1 + monthsNeeded;
+                } else {
+                    plannedEndMonth = month - 1 + monthsLeft;
+                    emi = this.computeEMI(remainingPrincipal, annualRate, monthsLeft);
+                }
+            }
+
+            // Calculate interest for current month
+            const interest = remainingPrincipal * annualRate / 100 / 12;
+            
+            // Principal paid this month (the final EMI may be smaller)
+            const principalPaid = Math.min(emi - interest, remainingPrincipal);
+            
+            // Update remaining principal
+            remainingPrincipal -= principalPaid;
+
+            // Apply any prepayment due this month (prepayment months count from the first EMI)
+            const due = this.getPrepaymentForMonth(month - preEMIMonths);
+            const prepayment = Math.min(due.amount, remainingPrincipal);
+            remainingPrincipal -= prepayment;
+            remainingPrincipal = Math.max(0, remainingPrincipal); // Prevent negative
+
+            schedule.push({
+                month: month,
+                phase: 'emi',
+                rate: annualRate,
+                rateReset: rateReset,
+                refinanced: switching,
+                switchingCost: switchingCost,
+                disbursed: month === preEMIMonths + 1 ? disbursedAtStart : 0,
+                emi: interest + principalPaid,
+                interest: interest,
+                principal: principalPaid,
+                prepayment: prepayment,
+                remaining: remainingPrincipal
+            });
+
+            if (prepayment > 0 && due.reduceEMI) {
+                emi = this.computeEMI(remainingPrincipal, annualRate, plannedEndMonth - month);
+            } else if (prepayment > 0 && remainingPrincipal > 0) {
+                // The loan now closes earlier; later EMI recomputations work to the new end
+                plannedEndMonth = month + this.monthsToRepay(remainingPrincipal, annualRate, emi);
+            }
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Months of pre-EMI (interest-only) payments before possession of an
+     * under-construction property; zero for a ready property
+     * @returns {number} Months from booking to possession
+     */
+    getPreEMIMonths() {
+        return this.inputs.underConstruction ? this.inputs.possessionMonth : 0;
+    }
+
+    /**
+     * Loan amount disbursed in a month of the construction-linked plan
+     * (each tranche is a % of the loan, {month, percent})
+     * @param {number} month - 1-based month from booking
+     * @returns {number} Amount disbursed
+     */
+    getDisbursementForMonth(month) {
+        const loanAmount = this.getLoanAmount();
+
+        return (this.inputs.disbursements || [])
+            .filter(tranche => tranche.month === month)
+            .reduce((sum, tranche) => sum + loanAmount * tranche.percent / 100, 0);
+    }
+
+    /**
+     * Share of a year in which the owner holds a completed property, used
+     * to pro-rate holding costs in the year of possession
+     * @param {number} year - 1-based timeline year
+     * @returns {number} Fraction between 0 and 1
+     */
+    getPossessionFraction(year) {
+        const monthsOwned = Math.min(12, Math.max(0, year * 12 - this.getPreEMIMonths()));
+        return monthsOwned / 12;
+    }
+
+    /**
+     * First month in which rent is received: after possession plus the
+     * fit-out period for an under-construction property, otherwise month 1
+     * @returns {number} 1-based timeline month
+     */
+    getRentStartMonth() {
+        if (!this.inputs.underConstruction) {
+            return 1;
+        }
+        return this.inputs.possessionMonth + (this.inputs.fitOutMonths || 0) + 1;
+    }
+
+    /**
+     * EMI in force at the end of the loan, ignoring a smaller final instalment
+     * @param {array} schedule - Monthly amortization schedule
+     * @returns {number} Latest regular EMI
+     */
+    getRegularEMI(schedule) {
+        const last = schedule[schedule.length - 1];
+        const secondLast = schedule[schedule.length - 2];
+        return secondLast && last.remaining === 0 && last.emi < secondLast.emi ? secondLast.emi : last.emi;
+    }
+
+    /**
+     * Re-run the amortization schedule with some inputs overridden,
+     * e.g. to compare against the loan without any prepayments
+     * @param {object} overrides - Inputs to replace
+     * @returns {array} Monthly amortization schedule
+     */
+    generateAlternateSchedule(overrides) {
+        return new LoanCalculator({ ...this.inputs, ...overrides }).generateAmortizationSchedule();
+    }
+
+    /**
+     * Compare the schedule against the same loan without prepayments
+     * @param {array} schedule - Monthly amortization schedule
+     * @returns {object|null} Interest saved, months saved and the no-prepayment yearly data
+     */
+    calculatePrepaymentImpact(schedule) {
+        if (!(this.inputs.prepayments || []).length) {
+            return null;
+        }
+
+        const baseline = this.generateAlternateSchedule({ prepayments: [] });
+        const sumInterest = (months) => months.reduce((sum, month) => sum + month.interest, 0);
+
+        return {
+            interestSaved: sumInterest(baseline) - sumInterest(schedule),
+            monthsSaved: baseline.length - schedule.length,
+            totalPrepaid: schedule.reduce((sum, month) => sum + month.prepayment, 0),
+            baselineYearly: this.aggregateToYearly(baseline)
+        };
+    }
+
+    /**
+     * Calculate one-time acquisition costs paid on day one:
+     * stamp duty, registration (optionally capped), GST on under-construction
+     * units, purchase brokerage (all % of price), loan processing fee
+     * (% of loan), legal fees and furnishing.
+     * @returns {object} Cost breakdown, total and total cash needed on day one
+     */
+    calculateAcquisitionCosts() {
+        const {
+            price,
+            downPayment,
+            stampDutyPct = 0,
+            registrationPct = 0,
+            registrationCap = 0,
+            gstPct = 0,
+            loanProcessingFeePct = 0,
+            legalFees = 0,
+            purchaseBrokeragePct = 0,
+            furnishingCost = 0
+        } = this.inputs;
+
+        const registrationUncapped = price * registrationPct / 100;
+        const costs = {
+            stampDuty: price * stampDutyPct / 100,
+            registration: registrationCap > 0 ? Math.min(registrationUncapped, registrationCap) : registrationUncapped,
+            gst: price * gstPct / 100,
+            processingFee: (price - downPayment) * loanProcessingFeePct / 100,
+            legalFees: legalFees,
+            brokerage: price * purchaseBrokeragePct / 100,
+            furnishing: furnishingCost
+        };
+        const total = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+
+        return {
+            ...costs,
+            total,
+            cashNeededOnDayOne: downPayment + total
+        };
+    }
+
+    /**
+     * Loan amount a given EMI repays over a number of months (the inverse of computeEMI)
+     * @param {number} emi - Monthly EMI
+     * @param {number} annualRatePercent - Annual interest rate (%)
+     * @param {number} months - Months to repay
+     * @returns {number} Principal
+     */
+    computeLoanForEMI(emi, annualRatePercent, months) {
+        const monthlyRate = annualRatePercent / 100 / 12;
+
+        if (months <= 0) {
+            return 0;
+        }
+
+        if (monthlyRate === 0) {
+            return emi * months;
+        }
+
+        return emi * (1 - Math.pow(1 + monthlyRate, -months)) / monthlyRate;
+    }
+
+    /**
+     * How much a lender would lend, from the borrower's income and age:
+     * - Eligible income = net monthly income + rentCountedPct % of the rent
+     *   (no rent is counted for a self-occupied home)
+     * - FOIR: existing EMIs plus the new EMI may take at most foirLimitPct %
+     *   of eligible income, which caps the EMI and so the loan
+     * - Tenure: the loan must end by retirementAge, so the tenure used is the
+     *   shorter of the entered tenure and the years left to retirement
+     * - RBI LTV: the loan may not exceed the slab-wise cap on the price
+     * @returns {object|null} Eligibility, or null without a monthly income;
+     *   maxTenure is null when no age is given
+     */
+    calculateEligibility() {
+        const {
+            price,
+            downPayment,
+            interestRate,
+            loanTenure,
+            monthlyRent,
+            occupancyType = 'let-out',
+            monthlyIncome,
+            existingEMIs = 0,
+            borrowerAge
+        } = this.inputs;
+
+        if (!(monthlyIncome > 0)) {
+            return null;
+        }
+
+        const setting = field => this.inputs[field] ?? ELIGIBILITY_DEFAULTS[field];
+        const foirLimitPct = setting('foirLimitPct');
+        const retirementAge = setting('retirementAge');
+        const rentCountedPct = setting('rentCountedPct');
+
+        const rentCounted = occupancyType === 'self-occupied' ? 0 : monthlyRent * rentCountedPct / 100;
+        const eligibleIncome = monthlyIncome + rentCounted;
+        const maxEMI = Math.max(0, eligibleIncome * foirLimitPct / 100 - existingEMIs);
+
+        const maxTenure = borrowerAge ? retirementAge - borrowerAge : null;
+        const tenure = maxTenure === null ? loanTenure : Math.min(loanTenure, maxTenure);
+
+        const loanByIncome = this.computeLoanForEMI(maxEMI, interestRate, tenure * 12);
+        const loanByLTV = maxLoanForPrice(price);
+        const maxLoan = Math.min(loanByIncome, loanByLTV);
+        const requestedLoan = price - downPayment;
+        const minDownPayment = price - maxLoan;
+
+        return {
+            eligibleIncome,
+            rentCounted,
+            rentCountedPct,
+            foirLimitPct,
+            // FOIR with the entered loan at the entered tenure
+            foirPct: (existingEMIs + this.calculateEMI()) / eligibleIncome * 100,
+            maxEMI,
+            maxTenure,
+            tenure,
+            tenureWithinLimit: tenure === loanTenure,
+            loanByIncome,
+            loanByLTV,
+            maxLoan,
+            limitedBy: loanByIncome < loanByLTV ? 'income' : 'ltv',
+            requestedLoan,
+            minDownPayment,
+            downPaymentSufficient: requestedLoan <= maxLoan,
+            shortfall: Math.max(0, requestedLoan - maxLoan)
+        };
+    }
+
+    /**
+     * Years the analysis covers: up to the chosen exit year, otherwise the
+     * loan tenure, or longer if a rate reset pushed the last EMI beyond it
+     * @param {array} schedule - Monthly amortization schedule
+     * @returns {number} Number of years
+     */
+    getTimelineYears(schedule) {
+        if (this.inputs.exitYear) {
+            return this.inputs.exitYear;
+        }
+        return Math.max(this.inputs.loanTenure, Math.ceil(schedule.length / 12));
+    }
+
+    /**
+     * Aggregate monthly data to yearly data
+     * @param {array} schedule - Monthly amortization schedule
+     * @returns {array} Yearly aggregated data
+     */
+    aggregateToYearly(schedule) {
+        const yearlyData = [];
+        const totalYears = this.getTimelineYears(schedule);
+
+        for (let year = 1; year <= totalYears; year++) {
+            const startMonth = (year - 1) * 12;
+            const endMonth = year * 12;
+            
+            const monthsInYear = schedule.slice(startMonth, endMonth);
+            
+            let yearlyEMI = 0;
+            let yearlyInterest = 0;
+            let yearlyPrincipal = 0;
+            let yearlyPrepayment = 0;
+            let yearlySwitchingCost = 0;
+            let yearlyDisbursed = 0;
+            let yearlyPreEMIInterest = 0;
+
+            monthsInYear.forEach(month => {
+                yearlyEMI += month.emi;
+                yearlyInterest += month.interest;
+                yearlyPrincipal += month.principal;
+                yearlyPrepayment += month.prepayment;
+                yearlySwitchingCost += month.switchingCost;
+                yearlyDisbursed += month.disbursed;
+                if (month.phase === 'pre-emi') {
+                    yearlyPreEMIInterest += month.interest;
+                }
+            });
+
+            const remainingPrincipal = monthsInYear.length > 0 
+                ? monthsInYear[monthsInYear.length - 1].remaining 
+                : 0;
+
+            yearlyData.push({
+                year: year,
+                emi: yearlyEMI,
+                interest: yearlyInterest,
+                principal: yearlyPrincipal,
+                prepayment: yearlyPrepayment,
+                switchingCost: yearlySwitchingCost,
+                disbursed: yearlyDisbursed,
+                preEMIInterest: yearlyPreEMIInterest,
+                remaining: remainingPrincipal
+            });
+        }
+
+        return yearlyData;
+    }
+
+    /**
+     * Compare a floating-rate schedule against the same loan at the fixed
+     * base interestRate for the whole tenure
+     * @param {array} schedule - Monthly amortization schedule
+     * @returns {object|null} Reset points and interest under both cases
+     */
+    calculateRateResetImpact(schedule) {
+        if (!(this.inputs.rateSchedule || []).length) {
+            return null;
+        }
+
+        const fixed = this.generateAlternateSchedule({ rateSchedule: [] });
+        const sumInterest = (months) => months.reduce((sum, month) => sum + month.interest, 0);
+        const floatingInterest = sumInterest(schedule);
+        const fixedInterest = sumInterest(fixed);
+
+        return {
+            resets: schedule
+                .filter(month => month.rateReset)
+                .map(month => ({
+                    month: month.month,
+                    year: Math.ceil(month.month / 12),
+                    rate: month.rate,
+                    emi: month.emi
+                })),
+            floatingInterest,
+            fixedInterest,
+            extraInterest: floatingInterest - fixedInterest,
+            fixedClosureMonth: fixed.length
+        };
+    }
+
+    /**
+     * One-off costs of moving a balance to a new lender
+     * @param {number} balance - Outstanding balance transferred
+     * @returns {object} {processingFee, legalFees, stampDuty, total}
+     */
+    calculateSwitchingCosts(balance) {
+        const { refinanceFeePct = 0, refinanceLegalFees = 0, refinanceStampDutyPct = 0 } = this.inputs;
+        const processingFee = balance * refinanceFeePct / 100;
+        const stampDuty = balance * refinanceStampDutyPct / 100;
+        return { processingFee, legalFees: refinanceLegalFees, stampDuty, total: processingFee + refinanceLegalFees + stampDuty };
+    }
+
+    /**
+     * Cost and payback of a balance transfer. Switching costs are the
+     * processing fee and stamp duty on the new mortgage (both % of the
+     * balance transferred) plus legal fees. They are paid back once the
+     * interest saved each month, against keeping the original loan, adds
+     * up to more than the costs.
+     * @param {array} schedule - Monthly amortization schedule
+     * @returns {object|null} Null without a refinance, or if the loan is repaid before it
+     */
+    calculateRefinanceImpact(schedule) {
+        const switchIndex = schedule.findIndex(month => month.refinanced);
+        if (switchIndex < 0) {
+            return null;
+        }
+
+        const original = this.generateAlternateSchedule({ refinanceMonth: 0 });
+        const sumInterest = (months) => months.reduce((sum, month) => sum + month.interest, 0);
+
+        const balanceTransferred = schedule[switchIndex - 1].remaining;
+        const { total: switchingCost, ...costs } = this.calculateSwitchingCosts(balanceTransferred);
+
+        let saved = 0;
+        let breakEvenMonth = null;
+        for (let index = switchIndex; index < Math.max(schedule.length, original.length); index++) {
+            saved += (original[index] ? original[index].interest : 0) - (schedule[index] ? schedule[index].interest : 0);
+            if (saved > switchingCost) {
+                breakEvenMonth = index + 1;
+                break;
+            }
+        }
+
+        const interestSaved = sumInterest(original) - sumInterest(schedule);
+        const switchMonth = schedule[switchIndex].month;
+
+        return {
+            switchMonth,
+            switchYear: Math.ceil(switchMonth / 12),
+            balanceTransferred,
+            oldRate: schedule[switchIndex - 1].rate,
+            newRate: schedule[switchIndex].rate,
+            oldEMI: schedule[switchIndex - 1].emi,
+            newEMI: schedule[switchIndex].emi,
+            ...costs,
+            switchingCost,
+            interestSaved,
+            netSaving: interestSaved - switchingCost,
+            // Loan month in which the interest saved first exceeds the switching costs
+            breakEvenMonth,
+            monthsToBreakEven: breakEvenMonth === null ? null : breakEvenMonth - switchMonth + 1,
+            originalClosureMonth: original.length
+        };
+    }
+
+    /**
+     * Generate the monthly rent timeline with tenant turnover.
+     * The current tenant stays for leaseMonths; every tenant change leaves
+     * the property empty for vacancyMonths and costs tenantBrokerageMonths
+     * of rent in brokerage. badDebtPct % of billed rent is never collected.
+     * Without a lease length the property is let continuously. Rent starts
+     * only after possession and fit-out for an under-construction property.
+     * @param {number} months - Number of months to model
+     * @returns {array} Monthly rent with gross, collected and brokerage amounts
+     */
+    generateRentalSchedule(months) {
+        const {
+            monthlyRent,
+            rentEscalation,
+            leaseMonths = 0,
+            vacancyMonths = 0,
+            tenantBrokerageMonths = 0,
+            badDebtPct = 0
+        } = this.inputs;
+        const escalationRate = rentEscalation / 100;
+        const cycleMonths = leaseMonths + vacancyMonths;
+        const rentStartMonth = this.getRentStartMonth();
+
+        const rentalSchedule = [];
+
+        for (let month = 1; month <= months; month++) {
+            const year = Math.ceil(month / 12);
+            const rent = monthlyRent * Math.pow(1 + escalationRate, year - 1);
+            const preLease = month < rentStartMonth;
+            const positionInCycle = leaseMonths > 0 ? (month - rentStartMonth) % cycleMonths : 0;
+            const occupied = !preLease && (leaseMonths === 0 || positionInCycle < leaseMonths);
+            const newTenant = !preLease && leaseMonths > 0 && month > rentStartMonth && positionInCycle === 0;
+
+            rentalSchedule.push({
+                month: month,
+                gross: preLease ? 0 : rent,
+                collected: occupied ? rent * (1 - badDebtPct / 100) : 0,
+                brokerage: newTenant ? rent * tenantBrokerageMonths : 0,
+                occupied: occupied,
+                preLease: preLease
+            });
+        }
+
+        return rentalSchedule;
+    }
+
+    /**
+     * Calculate rental income with annual escalation
+     * initialAnnualRent = monthlyRent × 12
+     * rentYearN = initialAnnualRent × (1 + rentEscalation/100)^(year-1)
+     * Effective income is the rent actually collected after vacancy and bad
+     * debt, less brokerage paid to find new tenants.
+     * @param {number} years - Number of years to model
+     * @returns {array} Yearly gross and effective rental income
+     */
+    calculateRentalIncome(years = this.inputs.loanTenure) {
+        const rentalSchedule = this.generateRentalSchedule(years * 12);
+
+        const rentalData = [];
+
+        for (let year = 1; year <= years; year++) {
+            const monthsInYear = rentalSchedule.slice((year - 1) * 12, year * 12);
+            const sum = (field) => monthsInYear.reduce((total, month) => total + month[field], 0);
+            const collected = sum('collected');
+            const brokerage = sum('brokerage');
+
+            rentalData.push({
+                year: year,
+                grossIncome: sum('gross'),
+                collected: collected,
+                brokerage: brokerage,
+                vacantMonths: monthsInYear.filter(month => !month.occupied && !month.preLease).length,
+                income: collected - brokerage
+            });
+        }
+
+        return rentalData;
+    }
+
+    /**
+     * Calculate property tax for each year
+     * taxYearN = propertyTax × (1 + propertyTaxInflation/100)^(year-1)
+     * pro-rated in the year of possession of an under-construction property
+     * @param {number} years - Number of years to model
+     * @returns {array} Yearly property tax data
+     */
+    calculatePropertyTax(years = this.inputs.loanTenure) {
+        const propertyTax = this.inputs.propertyTax;
+        const inflation = (this.inputs.propertyTaxInflation || 0) / 100;
+
+        const taxData = [];
+        for (let year = 1; year <= years; year++) {
+            taxData.push({
+                year: year,
+                tax: propertyTax * Math.pow(1 + inflation, year - 1) * this.getPossessionFraction(year)
+            });
+        }
+        return taxData;
+    }
+
+    /**
+     * Calculate yearly operating expenses (holding costs) line by line:
+     * - property tax (from calculatePropertyTax)
+     * - society maintenance: maintenanceMonthly × 12, inflating yearly
+     * - insurance: insuranceAnnual, inflating yearly
+     * - property management fee: managementFeePct % of rent received
+     * - repairs: repairsPct % of the property value at the start of the year
+     * - capex items ({label, amount, everyYears, inflation}) every N years
+     * Amounts are in today's money and grow at each item's own inflation rate.
+     * Nothing is due before possession of an under-construction property.
+     * @param {array} rentalData - Yearly rental data
+     * @param {array} taxData - Yearly property tax data
+     * @returns {array} Yearly expense breakdown with total
+     */
+    calculateOperatingExpenses(rentalData, taxData) {
+        const {
+            maintenanceMonthly = 0,
+            maintenanceInflation = 0,
+            insuranceAnnual = 0,
+            insuranceInflation = 0,
+            managementFeePct = 0,
+            repairsPct = 0,
+            capexItems = []
+        } = this.inputs;
+        const grow = (amount, inflation, year) => amount * Math.pow(1 + inflation / 100, year - 1);
+
+        return taxData.map((tax, index) => {
+            const year = index + 1;
+            const owned = this.getPossessionFraction(year);
+            const maintenance = grow(maintenanceMonthly * 12, maintenanceInflation, year) * owned;
+            const insurance = grow(insuranceAnnual, insuranceInflation, year) * owned;
+            const management = rentalData[index].income * managementFeePct / 100;
+            const repairs = this.calculateFinalPropertyValue(year - 1) * repairsPct / 100 * owned;
+            const capex = capexItems
+                .filter(item => owned > 0 && year % item.everyYears === 0)
+                .reduce((sum, item) => sum + grow(item.amount, item.inflation || 0, year), 0);
+
+            return {
+                year: year,
+                propertyTax: tax.tax,
+                maintenance,
+                insurance,
+                management,
+                repairs,
+                capex,
+                total: tax.tax + maintenance + insurance + management + repairs + capex
+            };
+        });
+    }
+
+    /**
+     * Income tax (with cess) on a taxable income under a regime's slabs
+     * @param {number} income - Taxable income
+     * @param {string} regime - 'old' or 'new'
+     * @returns {number} Tax payable
+     */
+    calculateSlabTax(income, regime) {
+        let tax = 0;
+        let lowerLimit = 0;
+
+        INCOME_TAX_RULES.slabs[regime].forEach(slab => {
+            if (income > lowerLimit) {
+                tax += (Math.min(income, slab.upTo) - lowerLimit) * slab.rate / 100;
+            }
+            lowerLimit = slab.upTo;
+        });
+
+        return tax * (1 + INCOME_TAX_RULES.cessPct / 100);
+    }
+
+    /**
+     * Calculate the income tax effect of the property for each year.
+     * Income from house property:
+     * - let-out: (rent received - property tax) less the 30% standard
+     *   deduction, less the full home-loan interest (Section 24(b))
+     * - self-occupied: nil annual value, interest deduction capped at ₹2L
+     *   (old regime only)
+     * Old regime: a house-property loss is set off against other income up
+     * to ₹2L, the rest is carried forward for 8 years against future
+     * house-property income; principal repaid counts under Section 80C.
+     * New regime: no self-occupied interest deduction, no loss set-off or
+     * carry-forward and no 80C.
+     * Interest paid before possession is deducted in five equal instalments
+     * starting with the year of possession.
+     * taxSaved = tax on other income alone - tax with the property
+     * (negative when rent adds to the tax bill).
+     * @param {array} yearlyLoans - Yearly loan data
+     * @param {array} rentalData - Yearly rental data
+     * @param {array} expenseData - Yearly operating expenses
+     * @returns {array} Yearly house-property income, deductions and tax saved
+     */
+    calculateIncomeTax(yearlyLoans, rentalData, expenseData) {
+        const {
+            taxRegime,
+            occupancyType = 'let-out',
+            otherTaxableIncome = 0,
+            other80CInvestments = 0
+        } = this.inputs;
+        const rules = INCOME_TAX_RULES;
+        const isOldRegime = taxRegime === 'old';
+        const acquisition = this.calculateAcquisitionCosts();
+        const lossesCarried = [];
+        const possessionYear = Math.floor(this.getPreEMIMonths() / 12) + 1;
+        const preConstructionInstalment = yearlyLoans
+            .reduce((sum, year) => sum + year.preEMIInterest, 0) / 5;
+
+        return yearlyLoans.map((loanData, index) => {
+            const year = index + 1;
+
+            if (!taxRegime) {
+                return { year, houseProperty: 0, setOff: 0, lossCarriedForward: 0, deduction80C: 0, taxSaved: 0 };
+            }
+
+            const inInstalmentYears = year >= possessionYear && year < possessionYear + 5;
+            const interest = loanData.interest - loanData.preEMIInterest +
+                (inInstalmentYears ? preConstructionInstalment : 0);
+
+            let houseProperty;
+            if (occupancyType === 'self-occupied') {
+                houseProperty = isOldRegime ? -Math.min(interest, rules.selfOccupiedInterestCap) : 0;
+            } else {
+                const netAnnualValue = rentalData[index].collected - expenseData[index].propertyTax;
+                const standardDeduction = Math.max(0, netAnnualValue) * rules.standardDeductionPct / 100;
+                houseProperty = netAnnualValue - standardDeduction - interest;
+            }
+
+            // Set off current loss, or absorb losses carried forward from earlier years
+            let setOff = houseProperty;
+            if (houseProperty < 0) {
+                setOff = isOldRegime ? -Math.min(-houseProperty, rules.houseLossSetOffCap) : 0;
+                if (isOldRegime && setOff > houseProperty) {
+                    lossesCarried.push({ year, amount: setOff - houseProperty });
+                }
+            } else {
+                lossesCarried.forEach(loss => {
+                    if (year - loss.year <= rules.lossCarryForwardYears) {
+                        const absorbed = Math.min(loss.amount, setOff);
+                        loss.amount -= absorbed;
+                        setOff -= absorbed;
+                    }
+                });
+            }
+
+            // Stamp duty and registration also qualify under 80C in the year of purchase
+            const room80C = Math.max(0, rules.section80CCap - other80CInvestments);
+            const purchaseCharges = year === 1 ? acquisition.stampDuty + acquisition.registration : 0;
+            const deduction80C = isOldRegime
+                ? Math.min(room80C, loanData.principal + loanData.prepayment + purchaseCharges)
+                : 0;
+
+            const taxWithout = this.calculateSlabTax(otherTaxableIncome, taxRegime);
+            const taxWith = this.calculateSlabTax(Math.max(0, otherTaxableIncome + setOff - deduction80C), taxRegime);
+
+            return {
+                year,
+                houseProperty,
+                setOff,
+                lossCarriedForward: lossesCarried
+                    .filter(loss => year - loss.year <= rules.lossCarryForwardYears)
+                    .reduce((sum, loss) => sum + loss.amount, 0),
+                deduction80C,
+                taxSaved: taxWithout - taxWith
+            };
+        });
+    }
+
+    /**
+     * Generate cumulative arrays for all metrics
+     * @param {array} yearlyLoans - Yearly loan data
+     * @param {array} rentalData - Yearly rental data
+     * @param {array} taxData - Yearly tax data
+     * @param {array} expenseData - Yearly operating expenses (including property tax)
+     * @param {array} incomeTaxData - Yearly income tax effect
+     * @returns {object} Complete dataset with all values
+     */
+    generateDatasets(yearlyLoans, rentalData, taxData, expenseData, incomeTaxData) {
+        const yearLabels = [];
+        const principalRemaining = [];
+        const interestPaidYearly = [];
+        const interestPaidCumulative = [];
+        const emiPaidYearly = [];
+        const emiOutOfPocketYearly = [];
+        const emiPaidCumulative = [];
+        const prepaymentYearly = [];
+        const prepaymentCumulative = [];
+        const totalPaidCumulative = [];
+        const rentalIncomeYearly = [];
+        const rentalIncomeCumulative = [];
+        const grossRentalIncomeYearly = [];
+        const grossRentalIncomeCumulative = [];
+        const rentalYieldYearly = [];
+        const propertyTaxYearly = [];
+        const propertyTaxCumulative = [];
+        const operatingExpensesYearly = [];
+        const operatingExpensesCumulative = [];
+        const totalOutflowCumulative = [];
+        const taxSavedYearly = [];
+        const taxSavedCumulative = [];
+        const afterTaxCashFlowYearly = [];
+        const preTaxCashFlowYearly = [];
+        const netPosition = [];
+
+        let cumulativeInterest = 0;
+        let cumulativeEMI = 0;
+        let cumulativePrepayment = 0;
+        let cumulativeSwitchingCost = 0;
+        let cumulativeRental = 0;
+        let cumulativeGrossRental = 0;
+        let cumulativeTax = 0;
+        let cumulativeExpenses = 0;
+        let cumulativeTaxSaved = 0;
+        const acquisitionCosts = this.calculateAcquisitionCosts().total;
+
+        for (let year = 1; year <= yearlyLoans.length; year++) {
+            yearLabels.push(`Year ${year}`);
+
+            const loanData = yearlyLoans[year - 1];
+            const rental = rentalData[year - 1];
+            const tax = taxData[year - 1];
+            const expenses = expenseData[year - 1];
+            const incomeTax = incomeTaxData[year - 1];
+
+            principalRemaining.push(Math.round(loanData.remaining * 100) / 100);
+            interestPaidYearly.push(Math.round(loanData.interest * 100) / 100);
+            const emiYear = Math.round(loanData.emi * 100) / 100;
+            const prepaymentYear = Math.round(loanData.prepayment * 100) / 100;
+            const switchingCostYear = Math.round(loanData.switchingCost * 100) / 100;
+            const rentYear = Math.round(rental.income * 100) / 100;
+
+            emiPaidYearly.push(emiYear);
+            prepaymentYearly.push(prepaymentYear);
+
+            cumulativeInterest += loanData.interest;
+            cumulativeEMI += loanData.emi;
+            cumulativePrepayment += loanData.prepayment;
+            cumulativeSwitchingCost += loanData.switchingCost;
+            cumulativeRental += rental.income;
+            cumulativeGrossRental += rental.grossIncome;
+            cumulativeTax += tax.tax;
+            cumulativeExpenses += expenses.total;
+            cumulativeTaxSaved += incomeTax.taxSaved;
+
+            interestPaidCumulative.push(Math.round(cumulativeInterest * 100) / 100);
+            emiPaidCumulative.push(Math.round(cumulativeEMI * 100) / 100);
+            prepaymentCumulative.push(Math.round(cumulativePrepayment * 100) / 100);
+            totalPaidCumulative.push(Math.round((cumulativeEMI + cumulativePrepayment) * 100) / 100);
+            rentalIncomeYearly.push(rentYear);
+            const preTaxCashFlow = rentYear - emiYear - prepaymentYear - switchingCostYear - expenses.total;
+            emiOutOfPocketYearly.push(Math.max(0, Math.round((-preTaxCashFlow - incomeTax.taxSaved) * 100) / 100));
+            taxSavedYearly.push(Math.round(incomeTax.taxSaved * 100) / 100);
+            taxSavedCumulative.push(Math.round(cumulativeTaxSaved * 100) / 100);
+            afterTaxCashFlowYearly.push(Math.round((preTaxCashFlow + incomeTax.taxSaved) * 100) / 100);
+            preTaxCashFlowYearly.push(Math.round(preTaxCashFlow * 100) / 100);
+            rentalYieldYearly.push(Math.round(((rentYear / this.inputs.price) * 100) * 100) / 100);
+            rentalIncomeCumulative.push(Math.round(cumulativeRental * 100) / 100);
+            grossRentalIncomeYearly.push(Math.round(rental.grossIncome * 100) / 100);
+            grossRentalIncomeCumulative.push(Math.round(cumulativeGrossRental * 100) / 100);
+            propertyTaxYearly.push(Math.round(tax.tax * 100) / 100);
+            propertyTaxCumulative.push(Math.round(cumulativeTax * 100) / 100);
+            operatingExpensesYearly.push(Math.round(expenses.total * 100) / 100);
+            operatingExpensesCumulative.push(Math.round(cumulativeExpenses * 100) / 100);
+
+            const cumulativeOutflow = acquisitionCosts + cumulativeEMI + cumulativePrepayment + cumulativeSwitchingCost +
+                cumulativeExpenses;
+            totalOutflowCumulative.push(Math.round(cumulativeOutflow * 100) / 100);
+            
+            // Net position: cumulative rental income - acquisition costs and cumulative EMI, prepayments,
+            // balance transfer costs and expenses paid
+            netPosition.push(Math.round((cumulativeRental - cumulativeOutflow) * 100) / 100);
+        }
+
+        return {
+            yearLabels,
+            principalRemaining,
+            interestPaidYearly,
+            interestPaidCumulative,
+            emiPaidYearly,
+            emiOutOfPocketYearly,
+            emiPaidCumulative,
+            prepaymentYearly,
+            prepaymentCumulative,
+            totalPaidCumulative,
+            rentalIncomeYearly,
+            rentalIncomeCumulative,
+            grossRentalIncomeYearly,
+            grossRentalIncomeCumulative,
+            rentalYieldYearly,
+            propertyTaxYearly,
+            propertyTaxCumulative,
+            operatingExpensesYearly,
+            operatingExpensesCumulative,
+            totalOutflowCumulative,
+            taxSavedYearly,
+            taxSavedCumulative,
+            afterTaxCashFlowYearly,
+            preTaxCashFlowYearly,
+            netPosition,
+            breakEvenYear: this.findBreakEvenYear(totalOutflowCumulative, rentalIncomeCumulative),
+            outOfPocketMoney: this.calculateOutOfPocketMoney(yearlyLoans, rentalData, expenseData, incomeTaxData),
+            finalPropertyValue: this.calculateFinalPropertyValue(yearlyLoans.length)
+        };
+    }
+
+    /**
+     * Month-by-month view of the same timeline as generateDatasets(), for the
+     * drill-down table. Operating expenses and property tax are spread evenly
+     * over the year and income tax saved is booked in the last month of each
+     * year, so month 12 of every year closes on the yearly net position.
+     * @param {array} schedule - Monthly amortization schedule
+     * @param {array} taxData - Yearly property tax
+     * @param {array} expenseData - Yearly operating expenses (including property tax)
+     * @param {array} incomeTaxData - Yearly income tax effect
+     * @returns {array} [{month, year, emi, interest, principal, prepayment, remaining, rent, propertyTax, outOfPocket, netPosition}]
+     */
+    generateMonthlyBreakdown(schedule, taxData, expenseData, incomeTaxData) {
+        const months = expenseData.length * 12;
+        const rentalSchedule = this.generateRentalSchedule(months);
+        let netPosition = -this.calculateAcquisitionCosts().total;
+        const rows = [];
+
+        for (let month = 1; month <= months; month++) {
+            const year = Math.ceil(month / 12);
+            const loanMonth = schedule[month - 1];
+            const rentMonth = rentalSchedule[month - 1];
+            const rent = rentMonth.collected - rentMonth.brokerage;
+            const emi = loanMonth ? loanMonth.emi : 0;
+            const prepayment = loanMonth ? loanMonth.prepayment : 0;
+            const switchingCost = loanMonth ? loanMonth.switchingCost : 0;
+            const cashFlow = rent - emi - prepayment - switchingCost - expenseData[year - 1].total / 12;
+            const taxSaved = month % 12 === 0 ? incomeTaxData[year - 1].taxSaved : 0;
+
+            netPosition += cashFlow;
+
+            rows.push({
+                month,
+                year,
+                emi,
+                interest: loanMonth ? loanMonth.interest : 0,
+                principal: loanMonth ? loanMonth.principal : 0,
+                prepayment,
+                remaining: loanMonth ? loanMonth.remaining : 0,
+                rent,
+                propertyTax: taxData[year - 1].tax / 12,
+                outOfPocket: Math.max(0, -cashFlow - taxSaved),
+                netPosition
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Find the year when cumulative rental income exceeds cumulative EMI
+     * (plus prepayments and operating expenses)
+     */
+    findBreakEvenYear(cumulativeEMI, cumulativeRental) {
+        for (let i = 0; i < cumulativeRental.length; i++) {
+            if (cumulativeRental[i] > cumulativeEMI[i]) {
+                return i + 1;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Calculate total out-of-pocket money
+     * Down Payment + Acquisition Costs + Total EMIs + Prepayments + Balance Transfer Costs + Total Operating Expenses
+     * - Total Rental Income - Total Tax Saved
+     * @param {array} yearlyLoans - Yearly loan data
+     * @param {array} rentalData - Yearly rental data
+     * @param {array} expenseData - Yearly operating expenses (including property tax)
+     * @param {array} incomeTaxData - Yearly income tax effect
+     * @returns {number} Total out-of-pocket money
+     */
+    calculateOutOfPocketMoney(yearlyLoans, rentalData, expenseData, incomeTaxData) {
+        const downPayment = this.inputs.downPayment;
+
+        // Stamp duty, registration, fees and other day-one costs
+        const acquisitionCosts = this.calculateAcquisitionCosts().total;
+        
+        // Sum all EMI payments
+        const totalEMI = yearlyLoans.reduce((sum, year) => sum + year.emi, 0);
+
+        // Sum all prepayments and balance transfer costs
+        const totalPrepayment = yearlyLoans.reduce((sum, year) => sum + year.prepayment, 0);
+        const totalSwitchingCost = yearlyLoans.reduce((sum, year) => sum + year.switchingCost, 0);
+        
+        // Sum all rental income
+        const totalRental = rentalData.reduce((sum, year) => sum + year.income, 0);
+
+        // Sum all operating expenses
+        const totalExpenses = expenseData.reduce((sum, year) => sum + year.total, 0);
+
+        // Sum all income tax saved (negative when rent is taxed)
+        const totalTaxSaved = incomeTaxData.reduce((sum, year) => sum + year.taxSaved, 0);
+        
+        // Out of pocket = Down Payment + Acquisition Costs + Total EMI + Prepayments + Switching Costs + Total Operating Expenses
+        //                - Total Rental Income - Tax Saved
+        return downPayment + acquisitionCosts + totalEMI + totalPrepayment + totalSwitchingCost + totalExpenses
+            - totalRental - totalTaxSaved;
+    }
+
+    /**
+     * Calculate property value at end of tenure
+     * @param {number} years - Years of appreciation
+     * @returns {number} Property value after appreciation
+     */
+    calculateFinalPropertyValue(years = this.inputs.loanTenure) {
+        const appreciation = this.inputs.propertyAppreciation / 100;
+        const finalValue = this.inputs.price * Math.pow(1 + appreciation, years);
+        return finalValue;
+    }
+
+    /**
+     * Calculate the sale at the end of the holding period.
+     * The outstanding loan is foreclosed (plus any foreclosure charge) and
+     * selling brokerage is paid. Capital gain = sale price - selling costs -
+     * cost of acquisition (price plus stamp duty, registration, GST, legal
+     * fees and purchase brokerage). Held for more than 24 months it is long-term and
+     * taxed at 12.5% without indexation; otherwise it is short-term and
+     * taxed at slab rates on top of other income.
+     * @param {array} yearlyLoans - Yearly loan data up to the exit year
+     * @returns {object} Sale price, costs, capital gains tax and net sale proceeds
+     */
+    calculateExit(yearlyLoans) {
+        const {
+            foreclosureChargePct = 0,
+            sellingBrokeragePct = 0,
+            taxRegime,
+            otherTaxableIncome = 0
+        } = this.inputs;
+        const rules = INCOME_TAX_RULES;
+        const holdingMonths = yearlyLoans.length * 12;
+
+        const salePrice = this.calculateFinalPropertyValue(yearlyLoans.length);
+        const sellingCosts = salePrice * sellingBrokeragePct / 100;
+        const outstandingLoan = yearlyLoans.length > 0 ? yearlyLoans[yearlyLoans.length - 1].remaining : 0;
+        const foreclosureCharges = outstandingLoan * foreclosureChargePct / 100;
+        const acquisition = this.calculateAcquisitionCosts();
+        const costOfAcquisition = this.inputs.price + acquisition.stampDuty + acquisition.registration +
+            acquisition.gst + acquisition.legalFees + acquisition.brokerage;
+        const capitalGain = salePrice - sellingCosts - costOfAcquisition;
+        const isLongTerm = holdingMonths > rules.longTermHoldingMonths;
+
+        let capitalGainsTax = 0;
+        if (capitalGain > 0 && isLongTerm) {
+            capitalGainsTax = capitalGain * rules.ltcgRatePct / 100 * (1 + rules.cessPct / 100);
+        } else if (capitalGain > 0) {
+            const regime = taxRegime || 'new';
+            capitalGainsTax = this.calculateSlabTax(otherTaxableIncome + capitalGain, regime) -
+                this.calculateSlabTax(otherTaxableIncome, regime);
+        }
+
+        return {
+            exitYear: yearlyLoans.length,
+            salePrice,
+            sellingCosts,
+            outstandingLoan,
+            foreclosureCharges,
+            costOfAcquisition,
+            capitalGain,
+            isLongTerm,
+            capitalGainsTax,
+            netSaleProceeds: salePrice - sellingCosts - outstandingLoan - foreclosureCharges - capitalGainsTax
+        };
+    }
+
+    /**
+     * Dated monthly equity cash flows for XIRR: the cash needed on day one
+     * on the start date, then each month's rent collected less EMI, prepayment,
+     * balance transfer costs, brokerage and 1/12th of the year's operating expenses. Income tax
+     * saved is booked at each year end and the net sale proceeds at exit.
+     * @param {array} schedule - Monthly amortization schedule
+     * @param {array} expenseData - Yearly operating expenses
+     * @param {array} incomeTaxData - Yearly income tax effect
+     * @param {object} exit - Sale at the exit year
+     * @returns {array} [{date, amount}]
+     */
+    generateMonthlyCashFlows(schedule, expenseData, incomeTaxData, exit) {
+        const startDate = this.inputs.startDate ? new Date(this.inputs.startDate) : new Date();
+        const months = expenseData.length * 12;
+        const rentalSchedule = this.generateRentalSchedule(months);
+        const dateAfter = (month) => new Date(startDate.getFullYear(), startDate.getMonth() + month, startDate.getDate());
+
+        const flows = [{ date: dateAfter(0), amount: -this.calculateAcquisitionCosts().cashNeededOnDayOne }];
+
+        for (let month = 1; month <= months; month++) {
+            const year = Math.ceil(month / 12);
+            const loanMonth = schedule[month - 1];
+            const rent = rentalSchedule[month - 1];
+            let amount = rent.collected - rent.brokerage - expenseData[year - 1].total / 12;
+
+            if (loanMonth) {
+                amount -= loanMonth.emi + loanMonth.prepayment + loanMonth.switchingCost;
+            }
+
+            if (month % 12 === 0) {
+                amount += incomeTaxData[year - 1].taxSaved;
+            }
+
+            if (month === months) {
+                amount += exit.netSaleProceeds;
+            }
+
+            flows.push({ date: dateAfter(month), amount });
+        }
+
+        return flows;
+    }
+
+    /**
+     * Calculate investor return metrics from the equity cash flows:
+     * - equity IRR on yearly after-tax flows (day-one cash at year 0, net
+     *   sale proceeds added in the exit year)
+     * - XIRR on dated monthly flows
+     * - NPV of the yearly flows at discountRate %
+     * - cash-on-cash = pre-tax cash flow / initial equity
+     * - cap rate = NOI / property value at the start of the year,
+     *   where NOI = effective rent - operating expenses
+     * - gross rent multiplier = price / first-year gross rent
+     * - DSCR = NOI / EMI paid in the year
+     * Headline cash-on-cash, cap rate, GRM and lowest DSCR are taken from
+     * the first full year of rent (year 1 unless the property is under construction).
+     * @returns {object} Headline metrics and yearly series
+     */
+    calculateReturnMetrics(datasets, schedule, expenseData, incomeTaxData, exit) {
+        const initialEquity = this.calculateAcquisitionCosts().cashNeededOnDayOne;
+        const { discountRate } = this.inputs;
+
+        const yearlyFlows = [-initialEquity, ...datasets.afterTaxCashFlowYearly];
+        yearlyFlows[yearlyFlows.length - 1] += exit.netSaleProceeds;
+
+        const round = (value) => Math.round(value * 100) / 100;
+        const noiYearly = datasets.rentalIncomeYearly.map((rent, index) => rent - expenseData[index].total);
+        const cashOnCashYearly = datasets.preTaxCashFlowYearly
+            .map(flow => initialEquity > 0 ? round(flow / initialEquity * 100) : null);
+        const capRateYearly = noiYearly
+            .map((noi, index) => round(noi / this.calculateFinalPropertyValue(index) * 100));
+        const dscrYearly = noiYearly
+            .map((noi, index) => datasets.emiPaidYearly[index] > 0 ? round(noi / datasets.emiPaidYearly[index]) : null);
+        const firstRentYear = Math.ceil((this.getRentStartMonth() - 1) / 12) + 1;
+        const headline = Math.min(firstRentYear, datasets.yearLabels.length) - 1;
+        const dscrValues = dscrYearly.slice(headline).filter(value => value !== null);
+        const irr = calculateIRR(yearlyFlows);
+        const xirr = calculateXIRR(this.generateMonthlyCashFlows(schedule, expenseData, incomeTaxData, exit));
+
+        return {
+            equityCashFlows: yearlyFlows,
+            irr: irr === null ? null : irr * 100,
+            xirr: xirr === null ? null : xirr * 100,
+            npv: Number.isFinite(discountRate) ? calculateNPV(discountRate / 100, yearlyFlows) : null,
+            discountRate: Number.isFinite(discountRate) ? discountRate : null,
+            metricsYear: headline + 1,
+            cashOnCash: cashOnCashYearly[headline],
+            capRate: capRateYearly[headline],
+            grossRentMultiplier: datasets.grossRentalIncomeYearly[headline] > 0
+                ? this.inputs.price / datasets.grossRentalIncomeYearly[headline]
+                : null,
+            minDSCR: dscrValues.length ? Math.min(...dscrValues) : null,
+            cashOnCashYearly,
+            capRateYearly,
+            dscrYearly
+        };
+    }
+
+    /**
+     * Compare buying with investing the same money elsewhere (index fund,
+     * FD) at alternativeReturn % a year. The alternative portfolio starts
+     * with the cash needed on day one and receives each year's
+     * out-of-pocket amount (emiOutOfPocketYearly) at the year end.
+     * The buyer's net worth is the property value less selling brokerage
+     * and the outstanding loan, plus any yearly surplus cash invested at the
+     * same return; in the exit year it is the net sale proceeds (after
+     * capital gains tax). Portfolio returns are taken pre-tax.
+     * @param {object} datasets - Yearly datasets
+     * @param {object} exit - Sale at the exit year
+     * @returns {object|null} Yearly net worth of both paths and the crossover year
+     *   (from which buying stays ahead; null if it never does)
+     */
+    calculateOpportunityCost(datasets, exit) {
+        const { alternativeReturn, sellingBrokeragePct = 0 } = this.inputs;
+        if (!Number.isFinite(alternativeReturn)) {
+            return null;
+        }
+
+        const growth = 1 + alternativeReturn / 100;
+        const lastYear = datasets.yearLabels.length;
+        let portfolio = this.calculateAcquisitionCosts().cashNeededOnDayOne;
+        let buyerSideFund = 0;
+
+        const renterNetWorth = [];
+        const buyerNetWorth = [];
+
+        datasets.emiOutOfPocketYearly.forEach((outOfPocket, index) => {
+            const year = index + 1;
+            portfolio = portfolio * growth + outOfPocket;
+            buyerSideFund = buyerSideFund * growth + Math.max(0, datasets.afterTaxCashFlowYearly[index]);
+
+            const equity = year === lastYear
+                ? exit.netSaleProceeds
+                : this.calculateFinalPropertyValue(year) * (1 - sellingBrokeragePct / 100) - datasets.principalRemaining[index];
+
+            renterNetWorth.push(Math.round(portfolio * 100) / 100);
+            buyerNetWorth.push(Math.round((equity + buyerSideFund) * 100) / 100);
+        });
+
+        // Crossover: the year from which buying stays ahead of investing
+        let lastYearBehind = 0;
+        buyerNetWorth.forEach((worth, index) => {
+            if (worth <= renterNetWorth[index]) {
+                lastYearBehind = index + 1;
+            }
+        });
+
+        return {
+            alternativeReturn,
+            renterNetWorth,
+            buyerNetWorth,
+            crossoverYear: lastYearBehind === lastYear ? null : lastYearBehind + 1,
+            advantageAtExit: buyerNetWorth[lastYear - 1] - renterNetWorth[lastYear - 1]
+        };
+    }
+
+    /**
+     * Main calculation orchestrator
+     * @returns {object} Complete calculation results
+     */
+    calculate() {
+        const validation = this.validateInputs();
+        if (!validation.isValid) {
+            throw new Error(validation.error);
+        }
+
+        // Step 1: Calculate EMI
+        const emi = this.calculateEMI();
+
+        // Step 2: Generate amortization schedule
+        const schedule = this.generateAmortizationSchedule();
+
+        // Step 3: Aggregate to yearly
+        const yearlyLoans = this.aggregateToYearly(schedule);
+
+        // Step 4: Compare against the loan without prepayments / at a fixed rate / with the original lender
+        const prepaymentImpact = this.calculatePrepaymentImpact(schedule);
+        const rateResetImpact = this.calculateRateResetImpact(schedule);
+        const refinanceImpact = this.calculateRefinanceImpact(schedule);
+
+        // Step 5: Calculate rental income
+        const rentalData = this.calculateRentalIncome(yearlyLoans.length);
+
+        // Step 6: Calculate property tax
+        const taxData = this.calculatePropertyTax(yearlyLoans.length);
+
+        // Step 7: Calculate the other operating expenses
+        const expenseData = this.calculateOperatingExpenses(rentalData, taxData);
+
+        // Step 8: Calculate the income tax effect
+        const incomeTaxData = this.calculateIncomeTax(yearlyLoans, rentalData, expenseData);
+
+        // Step 9: Generate comprehensive datasets
+        const datasets = this.generateDatasets(yearlyLoans, rentalData, taxData, expenseData, incomeTaxData);
+
+        // Step 10: Month-by-month breakdown for the amortization table
+        const monthlyBreakdown = this.generateMonthlyBreakdown(schedule, taxData, expenseData, incomeTaxData);
+
+        // Step 11: Sell at the exit year
+        const exit = this.calculateExit(yearlyLoans);
+
+        // Step 12: Investor return metrics
+        const returns = this.calculateReturnMetrics(datasets, schedule, expenseData, incomeTaxData, exit);
+
+        // Step 13: Compare with investing the same cash instead
+        const opportunityCost = this.calculateOpportunityCost(datasets, exit);
+
+        return {
+            emi,
+            acquisitionCosts: this.calculateAcquisitionCosts(),
+            eligibility: this.calculateEligibility(),
+            construction: this.inputs.underConstruction ? {
+                possessionMonth: this.getPreEMIMonths(),
+                rentStartMonth: this.getRentStartMonth(),
+                preEMIInterest: yearlyLoans.reduce((sum, year) => sum + year.preEMIInterest, 0)
+            } : null,
+            finalEMI: schedule.length > 0 ? this.getRegularEMI(schedule) : emi,
+            loanClosureMonth: schedule.length,
+            prepaymentImpact,
+            rateResetImpact,
+            refinanceImpact,
+            schedule,
+            monthlyBreakdown,
+            baselinePrincipalRemaining: prepaymentImpact
+                ? prepaymentImpact.baselineYearly.map(year => Math.round(year.remaining * 100) / 100)
+                : null,
+            yearlyLoans,
+            rentalData,
+            taxData,
+            expenseData,
+            incomeTaxData,
+            ...datasets,
+            exit,
+            returns,
+            opportunityCost,
+            realisedGain: exit.netSaleProceeds - datasets.outOfPocketMoney
+        };
+    }
+}
+
+// ============================================================================
+// Investment Return Metrics
+// ============================================================================
+
+/**
+ * Net present value of evenly spaced (yearly) cash flows; the first flow is at time 0
+ * @param {number} rate - Discount rate per period (0.1 = 10%)
+ * @param {array} cashFlows - Cash flow per period
+ * @returns {number} NPV
+ */
+export function calculateNPV(rate, cashFlows) {
+    return cashFlows.reduce((sum, flow, period) => sum + flow / Math.pow(1 + rate, period), 0);
+}
+
+/**
+ * Find the rate at which a present-value function crosses zero, by bisection
+ * @param {function} presentValue - Present value at a given rate
+ * @param {number} low - Lowest rate to search
+ * @param {number} high - Highest rate to search
+ * @returns {number|null} Rate, or null if there is no sign change in range
+ */
+function solveRate(presentValue, low = -0.9999, high = 10) {
+    let valueAtLow = presentValue(low);
+
+    if (!Number.isFinite(valueAtLow) || valueAtLow * presentValue(high) > 0) {
+        return null;
+    }
+
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        const valueAtMid = presentValue(mid);
+
+        if (Math.abs(valueAtMid) < 1e-7 || (high - low) / 2 < 1e-10) {
+            return mid;
+        }
+
+        if (valueAtMid * valueAtLow > 0) {
+            low = mid;
+            valueAtLow = valueAtMid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return (low + high) / 2;
+}
+
+/**
+ * Internal rate of return of evenly spaced (yearly) cash flows
+ * @param {array} cashFlows - Cash flow per period, starting at time 0
+ * @returns {number|null} IRR per period (0.1 = 10%), or null if undefined
+ */
+export function calculateIRR(cashFlows) {
+    return solveRate(rate => calculateNPV(rate, cashFlows));
+}
+
+/**
+ * IRR of irregularly dated cash flows (Excel XIRR, 365-day year)
+ * @param {array} flows - [{date: Date, amount: number}], first flow is the reference date
+ * @returns {number|null} Annualised rate (0.1 = 10%), or null if undefined
+ */
+export function calculateXIRR(flows) {
+    const start = flows[0].date.getTime();
+    const msPerYear = 365 * 24 * 60 * 60 * 1000;
+
+    return solveRate(rate => flows.reduce(
+        (sum, flow) => sum + flow.amount / Math.pow(1 + rate, (flow.date.getTime() - start) / msPerYear),
+        0
+    ));
+}
+
+// ============================================================================
+// Portfolio
+// ============================================================================
+
+/**
+ * Calculate every property in a portfolio and line them up on a common
+ * calendar timeline. A property's year 1 is its startYear; it contributes
+ * nothing before that or after its last modelled year (the exit year, or
+ * the end of the loan when no exit is set).
+ * @param {array} properties - [{name, startYear, inputs}]
+ * @returns {object} {years, holdings, totals, cashNeededOnDayOne, netWealthGain}
+ */
+export function calculatePortfolio(properties) {
+    const holdings = properties.map((property) => {
+        const calculator = new LoanCalculator(property.inputs);
+        let results;
+        try {
+            results = calculator.calculate();
+        } catch (error) {
+            throw new Error(`${property.name}: ${error.message}`);
+        }
+        return {
+            ...property,
+            results,
+            propertyValueYearly: results.yearLabels.map((label, index) => calculator.calculateFinalPropertyValue(index + 1))
+        };
+    });
+
+    const firstYear = Math.min(...holdings.map(holding => holding.startYear));
+    const lastYear = Math.max(...holdings.map(holding => holding.startYear + holding.results.yearLabels.length - 1));
+    const years = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+        years.push(year);
+    }
+
+    const onCalendar = (holding, values) => years.map((year) => {
+        const index = year - holding.startYear;
+        return index >= 0 && index < values.length ? values[index] : 0;
+    });
+
+    holdings.forEach((holding) => {
+        const { results } = holding;
+        holding.calendar = {
+            emi: onCalendar(holding, results.emiPaidYearly),
+            rent: onCalendar(holding, results.rentalIncomeYearly),
+            expenses: onCalendar(holding, results.operatingExpensesYearly),
+            principal: onCalendar(holding, results.principalRemaining),
+            propertyValue: onCalendar(holding, holding.propertyValueYearly),
+            cashFlow: onCalendar(holding, results.afterTaxCashFlowYearly)
+        };
+    });
+
+    const total = key => years.map((year, index) =>
+        holdings.reduce((sum, holding) => sum + holding.calendar[key][index], 0));
+
+    return {
+        years,
+        holdings,
+        totals: {
+            emi: total('emi'),
+            rent: total('rent'),
+            expenses: total('expenses'),
+            principal: total('principal'),
+            propertyValue: total('propertyValue'),
+            cashFlow: total('cashFlow')
+        },
+        cashNeededOnDayOne: holdings.reduce((sum, holding) => sum + holding.results.acquisitionCosts.cashNeededOnDayOne, 0),
+        netWealthGain: holdings.reduce((sum, holding) => sum + holding.results.realisedGain, 0)
+    };
+}
+
+// ============================================================================
+// Monte Carlo Simulation
+// ============================================================================
+
+/**
+ * Seedable pseudo-random generator (mulberry32), so a run can be repeated
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function} Returns a uniform number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function randomNormal(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Keep a sampled input inside its INPUT_LIMITS range
+ */
+function clampToLimits(field, value) {
+    const { min, max } = INPUT_LIMITS[field];
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Value below which the given share of sorted values falls, interpolating
+ * between neighbours
+ * @param {array} sorted - Values in ascending order
+ * @param {number} p - Percentile as a fraction (0.1 = P10)
+ */
+function percentile(sorted, p) {
+    if (!sorted.length) {
+        return null;
+    }
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Run the calculator over many random paths. Each path draws one
+ * propertyAppreciation, rentEscalation and interestRate from a normal
+ * distribution (mean, volatility = standard deviation, both in % points)
+ * and keeps it for the whole holding period, so the volatility is the
+ * uncertainty of the long-run average rather than year-to-year noise.
+ * A floating-rate loan's resets move with the path: each reset rate is
+ * shifted by the same amount as the sampled interest rate.
+ * Draws are clamped to INPUT_LIMITS, so e.g. rent escalation never goes
+ * below 0% and the interest rate never below 0%.
+ * @param {object} inputs - Base inputs for LoanCalculator
+ * @param {object} settings - {paths, seed, propertyAppreciation, rentEscalation, interestRate}
+ *                            where each variable is {mean, volatility}
+ * @param {function} onProgress - Called with the number of paths done
+ * @returns {object} Percentile bands per year, net wealth gain percentiles,
+ *                   probability of a loss and the break-even year distribution
+ */
+export function runMonteCarlo(inputs, settings, onProgress = () => {}) {
+    const random = createRandom(Number.isFinite(settings.seed) ? settings.seed : Date.now());
+    const draw = ({ mean, volatility }) => mean + volatility * randomNormal(random);
+    const netPositionByYear = [];
+    const equityByYear = [];
+    const gains = [];
+    const breakEvenCounts = {};
+    let neverBreakEven = 0;
+    let years = 0;
+
+    for (let path = 1; path <= settings.paths; path++) {
+        const propertyAppreciation = clampToLimits('propertyAppreciation', draw(settings.propertyAppreciation));
+        const rentEscalation = clampToLimits('rentEscalation', draw(settings.rentEscalation));
+        const interestRate = clampToLimits('interestRate', draw(settings.interestRate));
+        const rateShift = interestRate - inputs.interestRate;
+        const calculator = new LoanCalculator({
+            ...inputs,
+            propertyAppreciation,
+            rentEscalation,
+            interestRate,
+            rateSchedule: (inputs.rateSchedule || []).map(reset => ({
+                ...reset,
+                rate: clampToLimits('interestRate', reset.rate + rateShift)
+            }))
+        });
+        const results = calculator.calculate();
+        years = Math.max(years, results.yearLabels.length);
+
+        results.netPosition.forEach((value, index) => {
+            (netPositionByYear[index] = netPositionByYear[index] || []).push(value);
+            const equity = calculator.calculateFinalPropertyValue(index + 1) - results.principalRemaining[index];
+            (equityByYear[index] = equityByYear[index] || []).push(equity);
+        });
+        gains.push(results.realisedGain);
+
+        if (results.breakEvenYear) {
+            breakEvenCounts[results.breakEvenYear] = (breakEvenCounts[results.breakEvenYear] || 0) + 1;
+        } else {
+            neverBreakEven++;
+        }
+
+        if (path % 100 === 0) {
+            onProgress(path);
+        }
+    }
+
+    const band = byYear => {
+        const sorted = byYear.map(values => values.slice().sort((a, b) => a - b));
+        return {
+            p10: sorted.map(values => percentile(values, 0.1)),
+            p50: sorted.map(values => percentile(values, 0.5)),
+            p90: sorted.map(values => percentile(values, 0.9))
+        };
+    };
+    const sortedGains = gains.slice().sort((a, b) => a - b);
+
+    return {
+        paths: settings.paths,
+        yearLabels: Array.from({ length: years }, (value, index) => `Year ${index + 1}`),
+        netPosition: band(netPositionByYear),
+        equity: band(equityByYear),
+        netWealthGain: {
+            p10: percentile(sortedGains, 0.1),
+            p50: percentile(sortedGains, 0.5),
+            p90: percentile(sortedGains, 0.9)
+        },
+        probabilityOfLoss: gains.filter(gain => gain < 0).length / settings.paths * 100,
+        breakEvenCounts: Array.from({ length: years }, (value, index) => breakEvenCounts[index + 1] || 0),
+        neverBreakEven
+    };
+}
+
+// ============================================================================
+// Sensitivity Analysis
+// ============================================================================
+
+/**
+ * Outputs the sensitivity tools can rank; betterWhen colours the heat map
+ */
+export const SENSITIVITY_OUTPUTS = {
+    netWealthGain: { label: 'Net Wealth Gain', unit: 'currency', betterWhen: 'higher', value: r => r.realisedGain },
+    outOfPocket: { label: 'Out-of-Pocket Money', unit: 'currency', betterWhen: 'lower', value: r => r.outOfPocketMoney },
+    irr: { label: 'Equity IRR', unit: 'percent', betterWhen: 'higher', value: r => r.returns.irr },
+    breakEvenYear: { label: 'Break-Even Year', unit: 'year', betterWhen: 'lower', value: r => r.breakEvenYear }
+};
+
+export const SENSITIVITY_INPUTS = [
+    { key: 'price', label: 'Property Price' },
+    { key: 'downPayment', label: 'Down Payment' },
+    { key: 'interestRate', label: 'Interest Rate' },
+    { key: 'loanTenure', label: 'Loan Tenure', integer: true },
+    { key: 'monthlyRent', label: 'Monthly Rent' },
+    { key: 'rentEscalation', label: 'Rent Escalation' },
+    { key: 'propertyTax', label: 'Property Tax' },
+    { key: 'propertyAppreciation', label: 'Property Appreciation' },
+    { key: 'maintenanceMonthly', label: 'Maintenance' },
+    { key: 'vacancyMonths', label: 'Vacancy Months' }
+];
+
+/**
+ * Recalculate with one input scaled by (1 + changePct / 100)
+ * @returns {object} {value, output} - the changed input and the output, or
+ *                   output undefined when the changed inputs do not validate
+ */
+function calculateWithChange(inputs, input, changePct, output) {
+    let value = inputs[input.key] * (1 + changePct / 100);
+    if (input.integer) {
+        value = Math.max(1, Math.round(value));
+    }
+
+    try {
+        return { value, output: output.value(new LoanCalculator({ ...inputs, [input.key]: value }).calculate()) };
+    } catch (error) {
+        return { value, output: undefined };
+    }
+}
+
+/**
+ * One-at-a-time sensitivity: move each input down and up by rangePct % of
+ * its value and record the chosen output. Inputs that are zero or blank are
+ * skipped, as scaling them changes nothing.
+ * @param {object} inputs - Base inputs for LoanCalculator
+ * @param {string} outputKey - Key of SENSITIVITY_OUTPUTS
+ * @param {number} rangePct - Relative change, e.g. 10 for ±10%
+ * @returns {object} {base, rows} with rows sorted by the size of the swing
+ */
+export function calculateSensitivity(inputs, outputKey, rangePct) {
+    const output = SENSITIVITY_OUTPUTS[outputKey];
+    const baseResults = new LoanCalculator(inputs).calculate();
+    const base = output.value(baseResults);
+
+    // "Never" breaks even is ranked as one year past the horizon
+    const horizon = baseResults.yearLabels.length;
+    const comparable = value => value === null && output.unit === 'year' ? horizon + 1 : value;
+
+    const rows = SENSITIVITY_INPUTS
+        .filter(input => Number.isFinite(inputs[input.key]) && inputs[input.key] !== 0)
+        .map((input) => {
+            const low = calculateWithChange(inputs, input, -rangePct, output);
+            const high = calculateWithChange(inputs, input, rangePct, output);
+            const values = [low.output, high.output, base].map(comparable).filter(value => Number.isFinite(value));
+            return {
+                ...input,
+                low,
+                high,
+                swing: values.length ? Math.max(...values) - Math.min(...values) : 0
+            };
+        })
+        .sort((a, b) => b.swing - a.swing);
+
+    return { output, base, horizon, rows };
+}
+
+/**
+ * Two-variable grid: each input from -rangePct to +rangePct in equal steps
+ * @returns {object} {xValues, yValues, cells} where cells[y][x] is the output
+ */
+export function calculateSensitivityGrid(inputs, outputKey, xKey, yKey, rangePct, steps = 7) {
+    const output = SENSITIVITY_OUTPUTS[outputKey];
+    const xInput = SENSITIVITY_INPUTS.find(input => input.key === xKey);
+    const yInput = SENSITIVITY_INPUTS.find(input => input.key === yKey);
+    const changes = Array.from({ length: steps }, (value, index) => -rangePct + 2 * rangePct * index / (steps - 1));
+
+    const cells = changes.map(yChange => changes.map((xChange) => {
+        const changedInputs = { ...inputs, [yKey]: calculateWithChange(inputs, yInput, yChange, output).value };
+        return calculateWithChange(changedInputs, xInput, xChange, output).output;
+    }));
+
+    return {
+        output,
+        base: output.value(new LoanCalculator(inputs).calculate()),
+        xInput,
+        yInput,
+        xValues: changes.map(change => calculateWithChange(inputs, xInput, change, output).value),
+        yValues: changes.map(change => calculateWithChange(inputs, yInput, change, output).value),
+        cells
+    };
+}
+
+// ============================================================================
+// Goal Seek
+// ============================================================================
+
+/**
+ * Inputs the solver can vary, with the range searched for each
+ */
+export const GOAL_INPUTS = {
+    price: { label: 'Property Price', unit: 'currency', range: inputs => [inputs.downPayment, inputs.price * 10] },
+    downPayment: { label: 'Down Payment', unit: 'currency', range: inputs => [0, inputs.price] },
+    monthlyRent: { label: 'Monthly Rent', unit: 'currency', range: inputs => [0, inputs.price / 12] },
+    interestRate: { label: 'Interest Rate', unit: 'percent', range: () => [0, 30] },
+    rentEscalation: { label: 'Rent Escalation', unit: 'percent', range: () => [0, 30] },
+    propertyAppreciation: { label: 'Property Appreciation', unit: 'percent', range: () => [-20, 30] }
+};
+
+/**
+ * Outputs a goal can be set on; yearly outputs take the year to look at
+ */
+export const GOAL_OUTPUTS = {
+    realisedGain: { label: 'Net Wealth Gain', unit: 'currency', value: r => r.realisedGain },
+    outOfPocketMoney: { label: 'Out-of-Pocket Money', unit: 'currency', value: r => r.outOfPocketMoney },
+    cashNeededOnDayOne: { label: 'Cash Needed on Day One', unit: 'currency', value: r => r.acquisitionCosts.cashNeededOnDayOne },
+    emi: { label: 'Monthly EMI', unit: 'currency', value: r => r.emi },
+    irr: { label: 'Equity IRR', unit: 'percent', value: r => r.returns.irr },
+    minDSCR: { label: 'Lowest DSCR', unit: 'ratio', value: r => r.returns.minDSCR },
+    // "Never" counts as one year past the horizon so that "by year N" can be compared
+    breakEvenYear: { label: 'Break-Even Year', unit: 'year', value: r => r.breakEvenYear || r.yearLabels.length + 1 },
+    rentMinusEMI: {
+        label: 'Rent Minus EMI',
+        unit: 'currency',
+        yearly: true,
+        value: (r, year) => r.rentalIncomeYearly[year - 1] - r.emiPaidYearly[year - 1]
+    },
+    afterTaxCashFlow: {
+        label: 'After-Tax Cash Flow',
+        unit: 'currency',
+        yearly: true,
+        value: (r, year) => r.afterTaxCashFlowYearly[year - 1]
+    }
+};
+
+/**
+ * Solve for one input so that an output meets a target, by bisection over
+ * the input's valid range. Assumes the output moves in one direction as
+ * the input changes. For "=" the output must cross the target within the
+ * range; for ">=" / "<=" the result is the boundary of the inputs that
+ * meet the condition, i.e. the minimum or maximum qualifying input.
+ * @param {object} inputs - Base inputs for LoanCalculator
+ * @param {object} goal - {inputKey, outputKey, year, comparator: '>=' | '<=' | '=', target}
+ * @returns {object} {status: 'solved' | 'always' | 'never', value, bound, achieved, range, outputRange}
+ */
+export function goalSeek(inputs, goal) {
+    const input = GOAL_INPUTS[goal.inputKey];
+    const output = GOAL_OUTPUTS[goal.outputKey];
+    const [low, high] = input.range(inputs);
+
+    const evaluate = (value) => {
+        try {
+            const results = new LoanCalculator({ ...inputs, [goal.inputKey]: value }).calculate();
+            const result = output.value(results, goal.year);
+            return result === null || result === undefined ? NaN : result;
+        } catch (error) {
+            return NaN;
+        }
+    };
+    const meets = (result) => {
+        if (Number.isNaN(result)) {
+            return false;
+        }
+        if (goal.comparator === '>=') {
+            return result >= goal.target;
+        }
+        if (goal.comparator === '<=') {
+            return result <= goal.target;
+        }
+        // For "=" this tells which side of the target the output is on
+        return result >= goal.target;
+    };
+
+    const lowResult = evaluate(low);
+    const highResult = evaluate(high);
+    const outcome = {
+        range: [low, high],
+        outputRange: [lowResult, highResult]
+    };
+
+    const lowMeets = meets(lowResult);
+    const highMeets = meets(highResult);
+
+    if (goal.comparator !== '=' && lowMeets && highMeets) {
+        return { ...outcome, status: 'always' };
+    }
+    if (lowMeets === highMeets) {
+        return { ...outcome, status: 'never' };
+    }
+
+    let failing = lowMeets ? high : low;
+    let passing = lowMeets ? low : high;
+    for (let i = 0; i < 100 && Math.abs(passing - failing) > 1e-7 * Math.max(1, Math.abs(passing)); i++) {
+        const middle = (failing + passing) / 2;
+        if (meets(evaluate(middle))) {
+            passing = middle;
+        } else {
+            failing = middle;
+        }
+    }
+
+    const achieved = evaluate(passing);
+    const spread = Math.abs(highResult - lowResult);
+    const tolerance = (Number.isFinite(spread) ? spread : Math.abs(goal.target)) * 1e-4 + 1e-6;
+    if (goal.comparator === '=' && Math.abs(achieved - goal.target) > tolerance) {
+        // The output jumps over the target (e.g. whole break-even years)
+        return { ...outcome, status: 'never', closest: passing, achieved };
+    }
+
+    return {
+        ...outcome,
+        status: 'solved',
+        value: passing,
+        // Whether the answer is the lowest or highest input meeting the goal
+        bound: lowMeets ? 'maximum' : 'minimum',
+        achieved
+    };
+}
+
+// ============================================================================
+// Lender Offers
+// ============================================================================
+
+/**
+ * Run several lender offers for the same property and rank them by cost.
+ * Each offer is the main inputs with its own rate and tenure, run through
+ * calculateEMI() and generateAmortizationSchedule(). Blank terms are zero,
+ * or the main form's rate and tenure. An offer's terms:
+ * - processingFeePct (% of the loan) and processingFee (₹), paid upfront
+ * - insurancePremium (₹), paid upfront or, with insuranceFinanced, added to the loan
+ * - prepaymentChargePct: charged on each prepayment from the main inputs
+ * - foreclosureChargePct: charged on the balance still owed at the exit year
+ * - resetSpread: % points the lender adds at each rate reset; otherwise the
+ *   offer's rate moves with the main rate-reset schedule, keeping its gap
+ *   to the main interest rate
+ * The APR is the monthly IRR of the borrower's cash flows with the lender
+ * (loan less upfront costs received, then every payment, prepayment,
+ * charge and the payoff at exit) times 12, so it compares directly with
+ * the quoted rate.
+ * @param {object} inputs - Main inputs for LoanCalculator
+ * @param {array} offers - [{name, interestRate, loanTenure, processingFeePct, processingFee,
+ *                          insurancePremium, insuranceFinanced, prepaymentChargePct,
+ *                          foreclosureChargePct, resetSpread}]
+ * @returns {array} Offers sorted by APR, each with {name, loanAmount, emi, upfrontCost,
+ *   totalInterest, charges, totalOutflow, apr, yearlyBalance, ranks: {apr, totalOutflow, emi}}
+ * @throws {Error} If the main inputs or an offer's terms are invalid
+ */
+export function compareLoanOffers(inputs, offers) {
+    const results = offers.map((offer, index) => {
+        const name = offer.name || `Offer ${index + 1}`;
+        const {
+            processingFeePct = 0,
+            processingFee = 0,
+            insurancePremium = 0,
+            insuranceFinanced = false,
+            prepaymentChargePct = 0,
+            foreclosureChargePct = 0,
+            resetSpread = 0
+        } = offer;
+
+        const costs = { processingFeePct, processingFee, insurancePremium, prepaymentChargePct, foreclosureChargePct };
+        if (Object.values(costs).some(value => !(value >= 0))) {
+            throw new Error(`${name}: fees, insurance and charges must be zero or more`);
+        }
+        if ([processingFeePct, prepaymentChargePct, foreclosureChargePct].some(value => value > 100)) {
+            throw new Error(`${name}: percentage charges must be at most 100%`);
+        }
+
+        const interestRate = offer.interestRate ?? inputs.interestRate;
+        const rateGap = interestRate - inputs.interestRate;
+        const calculator = new LoanCalculator({
+            ...inputs,
+            // Financed insurance is added to the loan; the property price is unchanged
+            financedPremium: insuranceFinanced ? insurancePremium : 0,
+            interestRate,
+            loanTenure: offer.loanTenure ?? inputs.loanTenure,
+            // Each offer is held to the end; a balance transfer planned on the main loan does not apply
+            refinanceMonth: 0,
+            rateSchedule: (inputs.rateSchedule || []).map(reset => ({
+                ...reset,
+                rate: reset.rate + rateGap + resetSpread
+            }))
+        });
+
+        const validation = calculator.validateInputs();
+        if (!validation.isValid) {
+            throw new Error(`${name}: ${validation.error}`);
+        }
+
+        const emi = calculator.calculateEMI();
+        const schedule = calculator.generateAmortizationSchedule();
+        const exitMonth = inputs.exitYear ? Math.min(inputs.exitYear * 12, schedule.length) : schedule.length;
+        const held = schedule.slice(0, exitMonth);
+
+        const loanAmount = calculator.getLoanAmount();
+        const upfrontCost = loanAmount * processingFeePct / 100 + processingFee + (insuranceFinanced ? 0 : insurancePremium);
+        const outstanding = exitMonth < schedule.length ? held[held.length - 1].remaining : 0;
+        const prepaid = held.reduce((sum, month) => sum + month.prepayment, 0);
+        const charges = prepaid * prepaymentChargePct / 100 + outstanding * foreclosureChargePct / 100;
+
+        // Monthly flows seen by the borrower: disbursements in, payments out
+        const flows = new Array(held.length + 1).fill(0);
+        flows[0] = -upfrontCost - (insuranceFinanced ? insurancePremium : 0);
+        held.forEach((month, index) => {
+            flows[index] += month.disbursed;
+            flows[index + 1] -= month.emi + month.prepayment * (1 + prepaymentChargePct / 100);
+        });
+        flows[held.length] -= outstanding * (1 + foreclosureChargePct / 100);
+
+        // Narrower bracket than calculateIRR: hundreds of monthly periods
+        // overflow the discount factor near -100%
+        const monthlyRate = solveRate(rate => calculateNPV(rate, flows), -0.5, 1);
+        const payments = held.reduce((sum, month) => sum + month.emi + month.prepayment, 0);
+
+        return {
+            name,
+            offer,
+            interestRate,
+            loanAmount,
+            emi,
+            upfrontCost,
+            totalInterest: held.reduce((sum, month) => sum + month.interest, 0),
+            charges,
+            outstanding,
+            totalOutflow: upfrontCost + payments + outstanding + charges,
+            apr: monthlyRate === null ? null : monthlyRate * 12 * 100,
+            yearlyBalance: calculator.aggregateToYearly(held).map(year => year.remaining)
+        };
+    });
+
+    // 1 = cheapest by each measure; an offer without an APR ranks last
+    const rankBy = (key) => {
+        const order = results.slice().sort((a, b) => {
+            if (a[key] === null || b[key] === null) {
+                return (a[key] === null) - (b[key] === null);
+            }
+            return a[key] - b[key];
+        });
+        results.forEach((result) => {
+            result.ranks = { ...result.ranks, [key]: order.indexOf(result) + 1 };
+        });
+    };
+    ['apr', 'totalOutflow', 'emi'].forEach(rankBy);
+
+    return results.sort((a, b) => a.ranks.apr - b.ranks.apr);
+}
@@ -1,339 +1,21 @@
 // ============================================================================
 // Real Estate Loan & Rental Visualization Calculator
 // ============================================================================
-
-class LoanCalculator {
-    constructor(inputs) {
-        this.inputs = inputs;
-        this.charts = {};
-    }
-
-    /**
-     * Validate inputs before calculation
-     * @returns {object} {isValid: boolean, error: string}
-     */
-    validateInputs() {
-        const { price, downPayment, interestRate, loanTenure, monthlyRent } = this.inputs;
-
-        if (downPayment > price) {
-            return {
-                isValid: false,
-                error: 'Down Payment cannot be greater than Property Price'
-            };
-        }
-
-        if (price <= 0 || downPayment < 0 || loanTenure <= 0 || monthlyRent < 0) {
-            return {
-                isValid: false,
-                error: 'Please enter valid positive numbers'
-            };
-        }
-
-        return { isValid: true, error: null };
-    }
-
-    /**
-     * Calculate EMI using standard formula: EMI = P × r × (1+r)^n / ((1+r)^n - 1)
-     * where P = Principal, r = monthly rate, n = number of months
-     * @returns {number} Monthly EMI amount
-     */
-    calculateEMI() {
-        const loanAmount = this.inputs.price - this.inputs.downPayment;
-        const annualRate = this.inputs.interestRate / 100;
-        const monthlyRate = annualRate / 12;
-        const totalMonths = this.inputs.loanTenure * 12;
-
-        // Handle edge case: 0% interest
-        if (monthlyRate === 0) {
-            return loanAmount / totalMonths;
-        }
-
-        const numerator = monthlyRate * Math.pow(1 + monthlyRate, totalMonths);
-        const denominator = Math.pow(1 + monthlyRate, totalMonths) - 1;
-        const emi = loanAmount * (numerator / denominator);
-
-        return emi;
-    }
-
-    /**
-     * Generate monthly amortization schedule
-     * @returns {array} Monthly schedule with interest, principal, remaining principal
-     */
-    generateAmortizationSchedule() {
-        const loanAmount = this.inputs.price - this.inputs.downPayment;
-        const annualRate = this.inputs.interestRate / 100;
-        const monthlyRate = annualRate / 12;
-        const emi = this.calculateEMI();
-
-        const schedule = [];
-        let remainingPrincipal = loanAmount;
-
-        for (let month = 0; month < this.inputs.loanTenure * 12; month++) {
-            // Calculate interest for current month
-            const interest = remainingPrincipal * monthlyRate;
-            
-            // Principal paid this month
-            const principalPaid = emi - interest;
-            
-            // Update remaining principal
-            remainingPrincipal -= principalPaid;
-            remainingPrincipal = Math.max(0, remainingPrincipal); // Prevent negative
-
-            schedule.push({
-                month: month + 1,
-                emi: emi,
-                interest: interest,
-                principal: principalPaid,
-                remaining: remainingPrincipal
-            });
-        }
-
-        return schedule;
-    }
-
-    /**
-     * Aggregate monthly data to yearly data
-     * @param {array} schedule - Monthly amortization schedule
-     * @returns {array} Yearly aggregated data
-     */
-    aggregateToYearly(schedule) {
-        const yearlyData = [];
-
-        for (let year = 1; year <= this.inputs.loanTenure; year++) {
-            const startMonth = (year - 1) * 12;
-            const endMonth = year * 12;
-            
-            const monthsInYear = schedule.slice(startMonth, endMonth);
-            
-            let yearlyEMI = 0;
-            let yearlyInterest = 0;
-            let yearlyPrincipal = 0;
-
-            monthsInYear.forEach(month => {
-                yearlyEMI += month.emi;
-                yearlyInterest += month.interest;
-                yearlyPrincipal += month.principal;
-            });
-
-            const remainingPrincipal = monthsInYear.length > 0 
-                ? monthsInYear[monthsInYear.length - 1].remaining 
-                : 0;
-
-            yearlyData.push({
-                year: year,
-                emi: yearlyEMI,
-                interest: yearlyInterest,
-                principal: yearlyPrincipal,
-                remaining: remainingPrincipal
-            });
-        }
-
-        return yearlyData;
-    }
-
-    /**
-     * Calculate rental income with annual escalation
-     * initialAnnualRent = monthlyRent × 12
-     * rentYearN = initialAnnualRent × (1 + rentEscalation/100)^(year-1)
-     * @returns {array} Yearly rental income
-     */
-    calculateRentalIncome() {
-        const { monthlyRent, rentEscalation } = this.inputs;
-        const initialAnnualRent = monthlyRent * 12;
-        const escalationRate = rentEscalation / 100;
-
-        const rentalData = [];
-
-        for (let year = 1; year <= this.inputs.loanTenure; year++) {
-            const rentThisYear = initialAnnualRent * Math.pow(1 + escalationRate, year - 1);
-            rentalData.push({
-                year: year,
-                income: rentThisYear
-            });
-        }
-
-        return rentalData;
-    }
-
-    /**
-     * Calculate fixed property tax for each year
-     * @returns {array} Yearly property tax data
-     */
-    calculatePropertyTax() {
-        const propertyTax = this.inputs.propertyTax;
-
-        const taxData = [];
-        for (let year = 1; year <= this.inputs.loanTenure; year++) {
-            taxData.push({
-                year: year,
-                tax: propertyTax
-            });
-        }
-        return taxData;
-    }
-
-    /**
-     * Generate cumulative arrays for all metrics
-     * @param {array} yearlyLoans - Yearly loan data
-     * @param {array} rentalData - Yearly rental data
-     * @param {array} taxData - Yearly tax data
-     * @returns {object} Complete dataset with all values
-     */
-    generateDatasets(yearlyLoans, rentalData, taxData) {
-        const yearLabels = [];
-        const principalRemaining = [];
-        const interestPaidYearly = [];
-        const interestPaidCumulative = [];
-        const emiPaidYearly = [];
-        const emiOutOfPocketYearly = [];
-        const emiPaidCumulative = [];
-        const rentalIncomeYearly = [];
-        const rentalIncomeCumulative = [];
-        const rentalYieldYearly = [];
-        const propertyTaxYearly = [];
-        const propertyTaxCumulative = [];
-        const netPosition = [];
-
-        let cumulativeInterest = 0;
-        let cumulativeEMI = 0;
-        let cumulativeRental = 0;
-        let cumulativeTax = 0;
-
-        for (let year = 1; year <= this.inputs.loanTenure; year++) {
-            yearLabels.push(`Year ${year}`);
-
-            const loanData = yearlyLoans[year - 1];
-            const rental = rentalData[year - 1];
-            const tax = taxData[year - 1];
-
-            principalRemaining.push(Math.round(loanData.remaining * 100) / 100);
-            interestPaidYearly.push(Math.round(loanData.interest * 100) / 100);
-            const emiYear = Math.round(loanData.emi * 100) / 100;
-            const rentYear = Math.round(rental.income * 100) / 100;
-
-            emiPaidYearly.push(emiYear);
-
-            cumulativeInterest += loanData.interest;
-            cumulativeEMI += loanData.emi;
-            cumulativeRental += rental.income;
-            cumulativeTax += tax.tax;
-
-            interestPaidCumulative.push(Math.round(cumulativeInterest * 100) / 100);
-            emiPaidCumulative.push(Math.round(cumulativeEMI * 100) / 100);
-            rentalIncomeYearly.push(rentYear);
-            emiOutOfPocketYearly.push(Math.max(0, Math.round((emiYear - rentYear + tax.tax) * 100) / 100));
-            rentalYieldYearly.push(Math.round(((rentYear / this.inputs.price) * 100) * 100) / 100);
-            rentalIncomeCumulative.push(Math.round(cumulativeRental * 100) / 100);
-            propertyTaxYearly.push(Math.round(tax.tax * 100) / 100);
-            propertyTaxCumulative.push(Math.round(cumulativeTax * 100) / 100);
-            
-            // Net position: cumulative rental income - cumulative EMI paid
-            netPosition.push(Math.round((cumulativeRental - cumulativeEMI) * 100) / 100);
-        }
-
-        return {
-            yearLabels,
-            principalRemaining,
-            interestPaidYearly,
-            interestPaidCumulative,
-            emiPaidYearly,
-            emiOutOfPocketYearly,
-            emiPaidCumulative,
-            rentalIncomeYearly,
-            rentalIncomeCumulative,
-            rentalYieldYearly,
-            propertyTaxYearly,
-            propertyTaxCumulative,
-            netPosition,
-            breakEvenYear: this.findBreakEvenYear(emiPaidCumulative, rentalIncomeCumulative),
-            outOfPocketMoney: this.calculateOutOfPocketMoney(yearlyLoans, rentalData, taxData),
-            finalPropertyValue: this.calculateFinalPropertyValue()
-        };
-    }
-
-    /**
-     * Find the year when cumulative rental income exceeds cumulative EMI
-     */
-    findBreakEvenYear(cumulativeEMI, cumulativeRental) {
-        for (let i = 0; i < cumulativeRental.length; i++) {
-            if (cumulativeRental[i] > cumulativeEMI[i]) {
-                return i + 1;
-            }
-        }
-        return null;
-    }
-
-    /**
-     * Calculate total out-of-pocket money
-     * Total EMIs + Down Payment + Total Property Tax - Total Rental Income
-     * @param {array} yearlyLoans - Yearly loan data
-     * @param {array} rentalData - Yearly rental data
-     * @param {array} taxData - Yearly property tax data
-     * @returns {number} Total out-of-pocket money
-     */
-    calculateOutOfPocketMoney(yearlyLoans, rentalData, taxData) {
-        const downPayment = this.inputs.downPayment;
-        
-        // Sum all EMI payments
-        const totalEMI = yearlyLoans.reduce((sum, year) => sum + year.emi, 0);
-        
-        // Sum all rental income
-        const totalRental = rentalData.reduce((sum, year) => sum + year.income, 0);
-
-        // Sum all property tax
-        const totalPropertyTax = taxData.reduce((sum, year) => sum + year.tax, 0);
-        
-        // Out of pocket = Down Payment + Total EMI + Total Property Tax - Total Rental Income
-        return downPayment + totalEMI + totalPropertyTax - totalRental;
-    }
-
-    /**
-     * Calculate property value at end of tenure
-     * @returns {number} Property value after appreciation
-     */
-    calculateFinalPropertyValue() {
-        const appreciation = this.inputs.propertyAppreciation / 100;
-        const finalValue = this.inputs.price * Math.pow(1 + appreciation, this.inputs.loanTenure);
-        return finalValue;
-    }
-
-    /**
-     * Main calculation orchestrator
-     * @returns {object} Complete calculation results
-     */
-    calculate() {
-        const validation = this.validateInputs();
-        if (!validation.isValid) {
-            throw new Error(validation.error);
-        }
-
-        // Step 1: Calculate EMI
-        const emi = this.calculateEMI();
-
-        // Step 2: Generate amortization schedule
-        const schedule = this.generateAmortizationSchedule();
-
-        // Step 3: Aggregate to yearly
-        const yearlyLoans = this.aggregateToYearly(schedule);
-
-        // Step 5: Calculate rental income
-        const rentalData = this.calculateRentalIncome();
-
-        // Step 6: Calculate property tax
-        const taxData = this.calculatePropertyTax();
-
-        // Step 7: Generate comprehensive datasets
-        const datasets = this.generateDatasets(yearlyLoans, rentalData, taxData);
-
-        return {
-            emi,
-            yearlyLoans,
-            rentalData,
-            taxData,
-            ...datasets
-        };
-    }
-}
+// Browser UI: reads the form, runs the engine and renders charts and tools.
+
+import {
+    LoanCalculator,
+    INPUT_FIELDS,
+    parseInputValue,
+    calculatePortfolio,
+    runMonteCarlo,
+    calculateSensitivity,
+    calculateSensitivityGrid,
+    GOAL_INPUTS,
+    GOAL_OUTPUTS,
+    goalSeek,
+    compareLoanOffers
+} from './engine.js';
 
 // ============================================================================
 // Chart Generation
@@ -343,6 +25,16 @@ function formatCurrency(value) {
     return '₹' + (value / 100000).toFixed(1) + 'L';
 }
 
+function formatMonths(months) {
+    const years = Math.floor(months / 12);
+    const remainder = months % 12;
+    return remainder ? `${years}y ${remainder}m` : `${years} years`;
+}
+
+function formatPercent(value) {
+    return value === null ? 'N/A' : value.toFixed(2) + '%';
+}
+
 function createLoanChart(container, data) {
     const ctx = container.getContext('2d');
 
@@ -386,11 +78,85 @@ function createLoanChart(container, data) {
                     fill: false,
                     yAxisID: 'y'
                 }
-            ]
+            ].concat(data.baselinePrincipalRemaining ? [
+                {
+                    label: 'Principal Remaining (No Prepayment)',
+                    data: data.baselinePrincipalRemaining,
+                    borderColor: '#c0392b',
+                    backgroundColor: 'rgba(192, 57, 43, 0.1)',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    tension: 0.3,
+                    fill: false,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Cumulative Prepayments',
+                    data: data.prepaymentCumulative,
+                    borderColor: '#1abc9c',
+                    backgroundColor: 'rgba(26, 188, 156, 0.1)',
+                    borderWidth: 3,
+                    tension: 0.3,
+                    fill: false,
+                    yAxisID: 'y'
+                }
+            ] : []).concat(data.rateResetImpact ? [
+                {
+                    label: 'Rate Reset',
+                    data: data.yearLabels.map((label, index) => {
+                        const isResetYear = data.rateResetImpact.resets.some(reset => reset.year === index + 1);
+                        return isResetYear ? data.principalRemaining[index] : null;
+                    }),
+                    markerLabels: data.yearLabels.map((label, index) => data.rateResetImpact.resets
+                        .filter(reset => reset.year === index + 1)
+                        .map(reset => `${reset.rate}% (EMI ${formatCurrency(reset.emi)})`)
+                        .join(', ')),
+                    borderColor: '#2c3e50',
+                    backgroundColor: '#f1c40f',
+                    pointStyle: 'triangle',
+                    pointRadius: 9,
+                    pointHoverRadius: 11,
+                    showLine: false,
+                    yAxisID: 'y'
+                }
+            ] : []).concat(data.refinanceImpact ? [
+                {
+                    label: 'Balance Transfer',
+                    data: data.yearLabels.map((label, index) => index + 1 === data.refinanceImpact.switchYear
+                        ? data.principalRemaining[index]
+                        : null),
+                    markerLabels: data.yearLabels.map(() => `month ${data.refinanceImpact.switchMonth}, ` +
+                        `${data.refinanceImpact.newRate}% (EMI ${formatCurrency(data.refinanceImpact.newEMI)})`),
+                    borderColor: '#2c3e50',
+                    backgroundColor: '#9b59b6',
+                    pointStyle: 'star',
+                    pointRadius: 10,
+                    pointHoverRadius: 12,
+                    showLine: false,
+                    yAxisID: 'y'
+                }
+            ] : []).concat(data.construction ? [
+                {
+                    label: 'Possession',
+                    data: data.yearLabels.map((label, index) => {
+                        const possessionYear = Math.ceil((data.construction.possessionMonth + 1) / 12);
+                        return index + 1 === possessionYear ? data.principalRemaining[index] : null;
+                    }),
+                    markerLabels: data.yearLabels.map(() => `month ${data.construction.possessionMonth + 1}, full EMI starts`),
+                    borderColor: '#2c3e50',
+                    backgroundColor: '#27ae60',
+                    pointStyle: 'rectRot',
+                    pointRadius: 9,
+                    pointHoverRadius: 11,
+                    showLine: false,
+                    yAxisID: 'y'
+                }
+            ] : [])
         },
         options: {
             responsive: true,
             maintainAspectRatio: true,
+            onClick: jumpToAmortizationRow,
             interaction: {
                 mode: 'index',
                 intersect: false
@@ -412,6 +178,9 @@ function createLoanChart(container, data) {
                     bodyFont: { size: 12 },
                     callbacks: {
                         label: function(context) {
+                            if (context.dataset.markerLabels) {
+                                return context.dataset.label + ': ' + context.dataset.markerLabels[context.dataIndex];
+                            }
                             return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
                         }
                     }
@@ -481,6 +250,7 @@ function createRentalVsInterestChart(container, data) {
         options: {
             responsive: true,
             maintainAspectRatio: true,
+            onClick: jumpToAmortizationRow,
             interaction: {
                 mode: 'index',
                 intersect: false
@@ -575,12 +345,24 @@ function createRentalVsEMIChart(container, data) {
                     tension: 0.3,
                     fill: false,
                     yAxisID: 'y'
+                },
+                {
+                    label: 'Yearly Operating Expenses',
+                    data: data.operatingExpensesYearly,
+                    borderColor: '#95a5a6',
+                    backgroundColor: 'rgba(149, 165, 166, 0.1)',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    tension: 0.3,
+                    fill: false,
+                    yAxisID: 'y'
                 }
             ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: true,
+            onClick: jumpToAmortizationRow,
             interaction: {
                 mode: 'index',
                 intersect: false
@@ -654,12 +436,33 @@ function createRentalYieldChart(container, data) {
                     tension: 0.3,
                     fill: true,
                     yAxisID: 'y'
+                },
+                {
+                    label: 'Cap Rate (NOI / Current Value)',
+                    data: data.returns.capRateYearly,
+                    borderColor: '#16a085',
+                    backgroundColor: 'rgba(22, 160, 133, 0.1)',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    fill: false,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Cash-on-Cash Return',
+                    data: data.returns.cashOnCashYearly,
+                    borderColor: '#d35400',
+                    backgroundColor: 'rgba(211, 84, 0, 0.1)',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    fill: false,
+                    yAxisID: 'y'
                 }
             ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: true,
+            onClick: jumpToAmortizationRow,
             plugins: {
                 legend: {
                     display: true,
@@ -722,7 +525,7 @@ function createNetPositionChart(container, data) {
             labels: data.yearLabels,
             datasets: [
                 {
-                    label: 'Net Position (Rental Income - EMI)',
+                    label: 'Net Position (Rental Income - EMI - Prepayments - Expenses)',
                     data: data.netPosition,
                     borderColor: '#9b59b6',
                     backgroundColor: 'rgba(155, 89, 182, 0.1)',
@@ -736,6 +539,7 @@ function createNetPositionChart(container, data) {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: jumpToAmortizationRow,
             plugins: {
                 legend: {
                     display: true,
@@ -786,114 +590,3342 @@ function createNetPositionChart(container, data) {
     });
 }
 
-function displaySummaryStats(data) {
-    const container = document.getElementById('summaryStats');
-    const lastYear = data.emiPaidCumulative.length - 1;
-
-    const stats = [
-        {
-            label: 'Monthly EMI',
-            value: formatCurrency(data.emi),
-            color: '#3498db'
-        },
-        {
-            label: 'Total Interest Paid',
-            value: formatCurrency(data.interestPaidCumulative[lastYear]),
-            color: '#f39c12'
-        },
-        {
-            label: 'Total Amount Paid',
-            value: formatCurrency(data.emiPaidCumulative[lastYear]),
-            color: '#e74c3c'
-        },
-        {
-            label: 'Total Rental Income',
-            value: formatCurrency(data.rentalIncomeCumulative[lastYear]),
-            color: '#27ae60'
-        },
-        {
-            label: 'Total Property Tax Paid',
-            value: formatCurrency(data.propertyTaxCumulative[lastYear]),
-            color: '#95a5a6'
-        },
-        {
-            label: 'Total Out-of-Pocket Money',
-            value: formatCurrency(data.outOfPocketMoney),
-            color: '#8e44ad',
-            highlight: true
-        },
-        {
-            label: 'Property Value at End of Tenure',
-            value: formatCurrency(data.finalPropertyValue),
-            color: '#16a085',
-            highlight: true
-        },
-        {
-            label: 'Net Wealth Gain',
-            value: formatCurrency(data.finalPropertyValue - data.outOfPocketMoney),
-            color: '#27ae60',
-            highlight: true
-        }
-    ];
+function createTaxChart(container, data) {
+    const ctx = container.getContext('2d');
 
-    if (data.breakEvenYear) {
-        stats.push({
-            label: 'Break-Even Year',
-            value: `Year ${data.breakEvenYear}`,
-            color: '#16a085'
-        });
+    // Destroy previous chart if it exists
+    if (window.taxChartInstance) {
+        window.taxChartInstance.destroy();
     }
 
-    container.innerHTML = stats.map(stat => `
-        <div class="stat-card${stat.highlight ? ' highlight' : ''}">
-            <div class="stat-label">${stat.label}</div>
-            <div class="stat-value" style="color: ${stat.color}">${stat.value}</div>
-        </div>
-    `).join('');
+    window.taxChartInstance = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: data.yearLabels,
+            datasets: [
+                {
+                    type: 'line',
+                    label: 'After-Tax Cash Flow',
+                    data: data.afterTaxCashFlowYearly,
+                    borderColor: '#2c3e50',
+                    backgroundColor: 'rgba(44, 62, 80, 0.1)',
+                    borderWidth: 3,
+                    tension: 0.3,
+                    fill: false,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Income Tax Saved',
+                    data: data.taxSavedYearly,
+                    backgroundColor: 'rgba(39, 174, 96, 0.6)',
+                    borderColor: '#27ae60',
+                    borderWidth: 1,
+                    yAxisID: 'y'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onClick: jumpToAmortizationRow,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: { size: 12, weight: 'bold' }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    titleFont: { size: 13 },
+                    bodyFont: { size: 12 },
+                    callbacks: {
+                        label: function(context) {
+                            const value = context.parsed.y;
+                            const sign = value >= 0 ? '+' : '';
+                            return context.dataset.label + ': ' + sign + formatCurrency(value);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    ticks: {
+                        callback: function(value) {
+                            const sign = value >= 0 ? '+' : '';
+                            return sign + formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Amount (₹)',
+                        font: { weight: 'bold' }
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Year',
+                        font: { weight: 'bold' }
+                    }
+                }
+            }
+        }
+    });
 }
 
-// ============================================================================
-// Event Handlers
-// ============================================================================
-
-function handleFormSubmit(event) {
-    event.preventDefault();
-
-    const errorMsg = document.getElementById('errorMessage');
-    errorMsg.classList.remove('show');
-    errorMsg.textContent = '';
+function createRentVsBuyChart(container, data) {
+    const ctx = container.getContext('2d');
+    const chartContainer = container.closest('.chart-container');
 
-    // Get form values
-    const formData = new FormData(document.getElementById('loanForm'));
-    const inputs = {
-        price: parseFloat(formData.get('price')),
-        downPayment: parseFloat(formData.get('downPayment')),
-        interestRate: parseFloat(formData.get('interestRate')),
-        monthlyRent: parseFloat(formData.get('monthlyRent')),
-        rentEscalation: parseFloat(formData.get('rentEscalation')),
-        loanTenure: parseInt(formData.get('loanTenure')),
-        propertyTax: parseFloat(formData.get('propertyTax')),
-        propertyAppreciation: parseFloat(formData.get('propertyAppreciation'))
-    };
+    // Destroy previous chart if it exists
+    if (window.rentVsBuyChartInstance) {
+        window.rentVsBuyChartInstance.destroy();
+        window.rentVsBuyChartInstance = null;
+    }
 
-    try {
-        // Calculate
-        const calculator = new LoanCalculator(inputs);
-        const results = calculator.calculate();
+    chartContainer.classList.toggle('hidden', !data.opportunityCost);
+    if (!data.opportunityCost) {
+        return;
+    }
 
-        // Display results
-        const loanChartContainer = document.getElementById('loanChart');
-        const rentalVsInterestChartContainer = document.getElementById('rentalVsInterestChart');
-        const rentalVsEMIChartContainer = document.getElementById('rentalVsEMIChart');
+    window.rentVsBuyChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: data.yearLabels,
+            datasets: [
+                {
+                    label: 'Buyer Net Worth',
+                    data: data.opportunityCost.buyerNetWorth,
+                    borderColor: '#16a085',
+                    backgroundColor: 'rgba(22, 160, 133, 0.1)',
+                    borderWidth: 3,
+                    tension: 0.3,
+                    fill: false,
+                    yAxisID: 'y'
+                },
+                {
+                    label: `Invest Instead @ ${data.opportunityCost.alternativeReturn}%`,
+                    data: data.opportunityCost.renterNetWorth,
+                    borderColor: '#8e44ad',
+                    backgroundColor: 'rgba(142, 68, 173, 0.1)',
+                    borderWidth: 3,
+                    tension: 0.3,
+                    fill: false,
+                    yAxisID: 'y'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onClick: jumpToAmortizationRow,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: { size: 12, weight: 'bold' }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    titleFont: { size: 13 },
+                    bodyFont: { size: 12 },
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Net Worth (₹)',
+                        font: { weight: 'bold' }
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Year',
+                        font: { weight: 'bold' }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Summary stat cards for a calculation, as shown under the form
+ * @returns {array} [{label, value, color, highlight}] with formatted values
+ */
+function buildSummaryStats(data) {
+    const lastYear = data.emiPaidCumulative.length - 1;
+
+    const stats = [
+        {
+            label: 'Monthly EMI',
+            value: formatCurrency(data.emi),
+            color: '#3498db'
+        },
+        {
+            label: 'Cash Needed on Day One',
+            value: formatCurrency(data.acquisitionCosts.cashNeededOnDayOne),
+            color: '#c0392b',
+            highlight: true
+        },
+        {
+            label: 'Acquisition Costs',
+            value: formatCurrency(data.acquisitionCosts.total),
+            color: '#e67e22'
+        },
+        {
+            label: 'Total Interest Paid',
+            value: formatCurrency(data.interestPaidCumulative[lastYear]),
+            color: '#f39c12'
+        },
+        {
+            label: 'Total Amount Paid',
+            value: formatCurrency(data.totalPaidCumulative[lastYear]),
+            color: '#e74c3c'
+        },
+        {
+            label: 'Total Gross Rent',
+            value: formatCurrency(data.grossRentalIncomeCumulative[lastYear]),
+            color: '#2ecc71'
+        },
+        {
+            label: 'Total Effective Rent',
+            value: formatCurrency(data.rentalIncomeCumulative[lastYear]),
+            color: '#27ae60'
+        },
+        {
+            label: 'Total Property Tax Paid',
+            value: formatCurrency(data.propertyTaxCumulative[lastYear]),
+            color: '#95a5a6'
+        },
+        {
+            label: 'Total Operating Expenses',
+            value: formatCurrency(data.operatingExpensesCumulative[lastYear]),
+            color: '#7f8c8d'
+        },
+        {
+            label: 'Total Out-of-Pocket Money',
+            value: formatCurrency(data.outOfPocketMoney),
+            color: '#8e44ad',
+            highlight: true
+        },
+        {
+            label: `Sale Price in Year ${data.exit.exitYear}`,
+            value: formatCurrency(data.exit.salePrice),
+            color: '#16a085',
+            highlight: true
+        },
+        {
+            label: 'Net Sale Proceeds',
+            value: formatCurrency(data.exit.netSaleProceeds),
+            color: '#16a085',
+            highlight: true
+        },
+        {
+            label: 'Realised After-Tax Gain',
+            value: formatCurrency(data.realisedGain),
+            color: data.realisedGain >= 0 ? '#27ae60' : '#e74c3c',
+            highlight: true
+        },
+        {
+            label: data.exit.isLongTerm ? 'Long-Term Capital Gains Tax' : 'Short-Term Capital Gains Tax',
+            value: formatCurrency(data.exit.capitalGainsTax),
+            color: '#c0392b'
+        }
+    ];
+
+    stats.push(
+        {
+            label: 'Equity IRR (After Tax)',
+            value: formatPercent(data.returns.irr),
+            color: '#2980b9',
+            highlight: true
+        },
+        {
+            label: 'XIRR (Monthly Flows)',
+            value: formatPercent(data.returns.xirr),
+            color: '#2980b9'
+        },
+        {
+            label: `Cash-on-Cash (Year ${data.returns.metricsYear})`,
+            value: formatPercent(data.returns.cashOnCash),
+            color: '#d35400'
+        },
+        {
+            label: `Cap Rate (Year ${data.returns.metricsYear})`,
+            value: formatPercent(data.returns.capRate),
+            color: '#16a085'
+        },
+        {
+            label: 'Gross Rent Multiplier',
+            value: data.returns.grossRentMultiplier === null ? 'N/A' : data.returns.grossRentMultiplier.toFixed(1) + 'x',
+            color: '#2c3e50'
+        },
+        {
+            label: 'Lowest DSCR',
+            value: data.returns.minDSCR === null ? 'N/A' : data.returns.minDSCR.toFixed(2),
+            color: data.returns.minDSCR !== null && data.returns.minDSCR < 1 ? '#e74c3c' : '#27ae60'
+        }
+    );
+
+    if (data.returns.npv !== null) {
+        stats.push({
+            label: `NPV @ ${data.returns.discountRate}%`,
+            value: formatCurrency(data.returns.npv),
+            color: data.returns.npv >= 0 ? '#27ae60' : '#e74c3c'
+        });
+    }
+
+    if (data.opportunityCost) {
+        const advantage = data.opportunityCost.advantageAtExit;
+        stats.push(
+            {
+                label: 'Buying vs Investing at Exit',
+                value: (advantage >= 0 ? '+' : '') + formatCurrency(advantage),
+                color: advantage >= 0 ? '#27ae60' : '#e74c3c',
+                highlight: true
+            },
+            {
+                label: 'Buying Stays Ahead From',
+                value: data.opportunityCost.crossoverYear ? `Year ${data.opportunityCost.crossoverYear}` : 'Never',
+                color: '#16a085'
+            }
+        );
+    }
+
+    if (data.exit.outstandingLoan > 0) {
+        stats.push({
+            label: 'Loan Foreclosed at Exit',
+            value: formatCurrency(data.exit.outstandingLoan + data.exit.foreclosureCharges),
+            color: '#e74c3c'
+        });
+    }
+
+    if (data.incomeTaxData.some(year => year.taxSaved !== 0)) {
+        const taxSaved = data.taxSavedCumulative[lastYear];
+        stats.push({
+            label: taxSaved >= 0 ? 'Total Income Tax Saved' : 'Total Extra Income Tax',
+            value: formatCurrency(Math.abs(taxSaved)),
+            color: taxSaved >= 0 ? '#27ae60' : '#e74c3c',
+            highlight: true
+        });
+    }
+
+    if (data.construction) {
+        stats.push(
+            {
+                label: 'Pre-EMI Interest Paid',
+                value: formatCurrency(data.construction.preEMIInterest),
+                color: '#e67e22'
+            },
+            {
+                label: 'Possession After',
+                value: formatMonths(data.construction.possessionMonth),
+                color: '#2c3e50'
+            },
+            {
+                label: 'Rent Starts In',
+                value: `Month ${data.construction.rentStartMonth}`,
+                color: '#27ae60'
+            }
+        );
+    }
+
+    if (data.prepaymentImpact) {
+        stats.push(
+            {
+                label: 'Total Prepayments',
+                value: formatCurrency(data.prepaymentImpact.totalPrepaid),
+                color: '#1abc9c'
+            },
+            {
+                label: 'Interest Saved by Prepayment',
+                value: formatCurrency(data.prepaymentImpact.interestSaved),
+                color: '#27ae60',
+                highlight: true
+            }
+        );
+    }
+
+    if (data.rateResetImpact) {
+        const extra = data.rateResetImpact.extraInterest;
+        stats.push(
+            {
+                label: 'Total Interest at Fixed Rate',
+                value: formatCurrency(data.rateResetImpact.fixedInterest),
+                color: '#f39c12'
+            },
+            {
+                label: 'Floating vs Fixed Interest',
+                value: (extra >= 0 ? '+' : '') + formatCurrency(extra),
+                color: extra > 0 ? '#e74c3c' : '#27ae60',
+                highlight: true
+            }
+        );
+    }
+
+    if (data.refinanceImpact) {
+        const refinance = data.refinanceImpact;
+        stats.push(
+            {
+                label: 'Balance Transfer Costs',
+                value: formatCurrency(refinance.switchingCost),
+                color: '#e67e22'
+            },
+            {
+                label: 'EMI After Transfer',
+                value: `${formatCurrency(refinance.newEMI)} (was ${formatCurrency(refinance.oldEMI)})`,
+                color: '#3498db'
+            },
+            {
+                label: 'Interest Saved by Transfer',
+                value: formatCurrency(refinance.interestSaved),
+                color: refinance.interestSaved > 0 ? '#27ae60' : '#e74c3c'
+            },
+            {
+                label: 'Transfer Breaks Even',
+                value: refinance.breakEvenMonth
+                    ? `Month ${refinance.breakEvenMonth} (${refinance.monthsToBreakEven} months after)`
+                    : 'Never',
+                color: refinance.breakEvenMonth ? '#27ae60' : '#e74c3c',
+                highlight: true
+            }
+        );
+    }
+
+    if (data.prepaymentImpact || data.rateResetImpact || data.refinanceImpact) {
+        stats.push(
+            {
+                label: 'Loan Closes In',
+                value: formatMonths(data.loanClosureMonth),
+                color: '#2c3e50'
+            },
+            {
+                label: 'Current EMI at Loan End',
+                value: formatCurrency(data.finalEMI),
+                color: '#3498db'
+            }
+        );
+    }
+
+    if (data.eligibility) {
+        const eligibility = data.eligibility;
+        stats.push(
+            {
+                label: eligibility.limitedBy === 'income' ? 'Max Eligible Loan (by Income)' : 'Max Eligible Loan (RBI LTV)',
+                value: formatCurrency(eligibility.maxLoan),
+                color: eligibility.downPaymentSufficient ? '#27ae60' : '#e74c3c',
+                highlight: true
+            },
+            {
+                label: eligibility.downPaymentSufficient ? 'Down Payment Is Enough' : 'Down Payment Short By',
+                value: eligibility.downPaymentSufficient
+                    ? `Min ${formatCurrency(eligibility.minDownPayment)}`
+                    : formatCurrency(eligibility.shortfall),
+                color: eligibility.downPaymentSufficient ? '#27ae60' : '#e74c3c',
+                highlight: !eligibility.downPaymentSufficient
+            },
+            {
+                label: `FOIR (Limit ${eligibility.foirLimitPct}%)`,
+                value: formatPercent(eligibility.foirPct),
+                color: eligibility.foirPct > eligibility.foirLimitPct ? '#e74c3c' : '#27ae60'
+            },
+            {
+                label: `Rent Counted by Lender (${eligibility.rentCountedPct}%)`,
+                value: formatCurrency(eligibility.rentCounted) + '/mo',
+                color: '#2ecc71'
+            }
+        );
+
+        if (eligibility.maxTenure !== null) {
+            stats.push({
+                label: 'Max Tenure by Age',
+                value: `${eligibility.maxTenure} years`,
+                color: eligibility.tenureWithinLimit ? '#2c3e50' : '#e74c3c'
+            });
+        }
+    }
+
+    if (data.breakEvenYear) {
+        stats.push({
+            label: 'Break-Even Year',
+            value: `Year ${data.breakEvenYear}`,
+            color: '#16a085'
+        });
+    }
+
+    return stats;
+}
+
+function displaySummaryStats(data) {
+    const container = document.getElementById('summaryStats');
+
+    container.innerHTML = buildSummaryStats(data).map(stat => `
+        <div class="stat-card${stat.highlight ? ' highlight' : ''}">
+            <div class="stat-label">${stat.label}</div>
+            <div class="stat-value" style="color: ${stat.color}">${stat.value}</div>
+        </div>
+    `).join('');
+}
+
+// ============================================================================
+// Amortization Table
+// ============================================================================
+
+const AMORTIZATION_COLUMNS = [
+    { key: 'year', label: 'Year' },
+    { key: 'emi', label: 'EMI Paid' },
+    { key: 'interest', label: 'Interest' },
+    { key: 'principal', label: 'Principal Repaid' },
+    { key: 'remaining', label: 'Closing Balance' },
+    { key: 'rent', label: 'Effective Rent' },
+    { key: 'propertyTax', label: 'Property Tax' },
+    { key: 'outOfPocket', label: 'Out-of-Pocket' },
+    { key: 'netPosition', label: 'Net Position' }
+];
+
+const amortizationTable = {
+    yearlyRows: [],
+    monthlyRows: [],
+    sortKey: 'year',
+    ascending: true,
+    expandedYears: new Set()
+};
+
+/**
+ * One row per year with the amortization table columns
+ */
+function buildYearlyTableRows(data) {
+    return data.yearLabels.map((label, index) => ({
+        year: index + 1,
+        emi: data.emiPaidYearly[index],
+        interest: data.interestPaidYearly[index],
+        principal: data.yearlyLoans[index].principal + data.yearlyLoans[index].prepayment,
+        remaining: data.principalRemaining[index],
+        rent: data.rentalIncomeYearly[index],
+        propertyTax: data.propertyTaxYearly[index],
+        outOfPocket: data.emiOutOfPocketYearly[index],
+        netPosition: data.netPosition[index]
+    }));
+}
+
+/**
+ * Show the yearly table for a new calculation, collapsed and sorted by year
+ */
+function displayAmortizationTable(data) {
+    amortizationTable.yearlyRows = buildYearlyTableRows(data);
+    amortizationTable.monthlyRows = data.monthlyBreakdown.map(row => ({
+        ...row,
+        principal: row.principal + row.prepayment
+    }));
+    amortizationTable.sortKey = 'year';
+    amortizationTable.ascending = true;
+    amortizationTable.expandedYears.clear();
+
+    document.getElementById('amortizationSection').classList.remove('hidden');
+    renderAmortizationTable();
+}
+
+function renderAmortizationTable() {
+    const { yearlyRows, monthlyRows, sortKey, ascending, expandedYears } = amortizationTable;
+    const direction = ascending ? 1 : -1;
+    const sortedRows = yearlyRows.slice().sort((a, b) => (a[sortKey] - b[sortKey]) * direction);
+    const amountCells = row => AMORTIZATION_COLUMNS.slice(1)
+        .map(column => `<td>${formatCurrency(row[column.key])}</td>`).join('');
+
+    const header = AMORTIZATION_COLUMNS.map(column => {
+        const sortClass = column.key === sortKey ? (ascending ? 'sorted-asc' : 'sorted-desc') : '';
+        return `<th data-sort="${column.key}" class="${sortClass}">${column.label}</th>`;
+    }).join('');
+
+    const body = sortedRows.map(row => {
+        const isExpanded = expandedYears.has(row.year);
+        const yearRow = `
+            <tr class="year-row" id="amortizationYear${row.year}" data-year="${row.year}">
+                <td><span class="row-toggle">${isExpanded ? '▾' : '▸'}</span> Year ${row.year}</td>
+                ${amountCells(row)}
+            </tr>
+        `;
+        const monthRows = isExpanded
+            ? monthlyRows.filter(month => month.year === row.year).map(month => `
+                <tr class="month-row">
+                    <td>Month ${month.month}</td>
+                    ${amountCells(month)}
+                </tr>
+            `).join('')
+            : '';
+        return yearRow + monthRows;
+    }).join('');
+
+    document.getElementById('amortizationTable').innerHTML = `
+        <table class="data-table amortization-table">
+            <thead><tr>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Sort on a column heading click; expand or collapse on a year row click
+ */
+function handleAmortizationTableClick(event) {
+    const heading = event.target.closest('th[data-sort]');
+    if (heading) {
+        const key = heading.dataset.sort;
+        amortizationTable.ascending = amortizationTable.sortKey === key ? !amortizationTable.ascending : true;
+        amortizationTable.sortKey = key;
+        renderAmortizationTable();
+        return;
+    }
+
+    const yearRow = event.target.closest('.year-row');
+    if (yearRow) {
+        const year = parseInt(yearRow.dataset.year, 10);
+        if (!amortizationTable.expandedYears.delete(year)) {
+            amortizationTable.expandedYears.add(year);
+        }
+        renderAmortizationTable();
+    }
+}
+
+/**
+ * Chart onClick handler: expand and scroll to the clicked year's table row
+ */
+function jumpToAmortizationRow(event, elements) {
+    if (!elements.length) {
+        return;
+    }
+
+    const year = elements[0].index + 1;
+    amortizationTable.expandedYears.add(year);
+    renderAmortizationTable();
+
+    const row = document.getElementById(`amortizationYear${year}`);
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    row.classList.add('row-highlight');
+    setTimeout(() => row.classList.remove('row-highlight'), 2000);
+}
+
+// ============================================================================
+// Export (CSV / Excel)
+// ============================================================================
+
+/**
+ * Turn a results key into a column heading, e.g. emiPaidYearly -> EMI Paid Yearly
+ */
+function humanizeKey(key) {
+    return key
+        .replace(/([A-Z])/g, ' $1')
+        .replace(/^./, char => char.toUpperCase())
+        .replace(/\b(Emi|Npv|Irr)\b/g, word => word.toUpperCase());
+}
+
+/**
+ * Tables written to every export: the inputs, the summary, the yearly
+ * series from generateDatasets() and the monthly amortization schedule
+ * @param {object} inputs - Inputs the results were calculated from
+ * @param {object} results - Output of LoanCalculator.calculate()
+ * @returns {array} [{id, name, rows}] where rows is an array of cell arrays
+ */
+function buildExportSheets(inputs, results) {
+    const inputRows = [['Input', 'Value']];
+    Object.entries(inputs).forEach(([name, value]) => {
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => {
+                const description = Object.entries(item).map(([field, fieldValue]) => `${field}=${fieldValue}`).join('; ');
+                inputRows.push([`${name} #${index + 1}`, description]);
+            });
+        } else {
+            inputRows.push([name, Number.isNaN(value) ? null : value]);
+        }
+    });
+
+    const summaryRows = [['Metric', 'Value']];
+    buildSummaryStats(results).forEach(stat => summaryRows.push([stat.label, stat.value]));
+    summaryRows.push([], ['Key Figures (unrounded)', 'Value']);
+    KEY_METRICS.forEach(metric => summaryRows.push([metric.label, metric.value(results)]));
+
+    const years = results.yearLabels.length;
+    const seriesKeys = Object.keys(results).filter(key => {
+        const series = results[key];
+        return Array.isArray(series) && series.length === years &&
+            series.every(value => value === null || typeof value === 'number');
+    });
+    const yearlyRows = [['Year', ...seriesKeys.map(humanizeKey)]];
+    results.yearLabels.forEach((label, index) => {
+        yearlyRows.push([index + 1, ...seriesKeys.map(key => results[key][index])]);
+    });
+
+    const monthlyRows = [['Month', 'Phase', 'Rate (%)', 'Disbursed', 'EMI', 'Interest', 'Principal', 'Prepayment', 'Closing Balance']];
+    const round = (value) => Math.round(value * 100) / 100;
+    results.schedule.forEach(month => {
+        monthlyRows.push([
+            month.month,
+            month.phase === 'pre-emi' ? 'Pre-EMI' : 'EMI',
+            month.rate,
+            round(month.disbursed),
+            round(month.emi),
+            round(month.interest),
+            round(month.principal),
+            round(month.prepayment),
+            round(month.remaining)
+        ]);
+    });
+
+    return [
+        { id: 'inputs', name: 'Inputs', rows: inputRows },
+        { id: 'summary', name: 'Summary', rows: summaryRows },
+        { id: 'yearly', name: 'Yearly', rows: yearlyRows },
+        { id: 'monthly', name: 'Monthly Schedule', rows: monthlyRows }
+    ];
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(cell => {
+        if (cell === null || cell === undefined) {
+            return '';
+        }
+        const text = String(cell);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index: 0 -> A, 26 -> AA
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+function buildWorksheetXml(rows) {
+    const rowXml = rows.map((row, rowIndex) => {
+        const cells = row.map((cell, columnIndex) => {
+            const ref = columnName(columnIndex) + (rowIndex + 1);
+            if (typeof cell === 'number') {
+                return Number.isFinite(cell) ? `<c r="${ref}"><v>${cell}</v></c>` : '';
+            }
+            if (cell === null || cell === undefined || cell === '') {
+                return '';
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(cell)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${rowXml}</sheetData></worksheet>`;
+}
+
+/**
+ * Build a minimal .xlsx workbook (Office Open XML) with one worksheet per sheet
+ * @param {array} sheets - [{name, rows}]
+ * @returns {Uint8Array} Zipped workbook
+ */
+function buildXlsx(sheets) {
+    const officeRels = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const packageRels = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ` +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: xmlHeader +
+                `<Relationships xmlns="${packageRels}">` +
+                `<Relationship Id="rId1" Type="${officeRels}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: xmlHeader +
+                `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${officeRels}"><sheets>` +
+                sheets.map((sheet, index) =>
+                    `<sheet name="${escapeXml(sheet.name.slice(0, 31))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: xmlHeader +
+                `<Relationships xmlns="${packageRels}">` +
+                sheets.map((sheet, index) =>
+                    `<Relationship Id="rId${index + 1}" Type="${officeRels}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                '</Relationships>'
+        },
+        ...sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            content: buildWorksheetXml(sheet.rows)
+        }))
+    ];
+
+    return createZip(files);
+}
+
+let crc32Table = null;
+
+/**
+ * CRC-32 (IEEE 802.3) checksum, as required by the zip format
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed ("stored") zip archive
+ * @param {array} files - [{name, content}] with string content
+ * @returns {Uint8Array} Zip archive
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const DOS_DATE_1980_01_01 = 0x0021;
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);   // local file header signature
+        local.setUint16(4, 20, true);           // version needed to extract
+        local.setUint16(6, 0x0800, true);       // UTF-8 file names
+        local.setUint16(8, 0, true);            // method: stored
+        local.setUint16(10, 0, true);           // time
+        local.setUint16(12, DOS_DATE_1980_01_01, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // extra field length
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // central directory signature
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, DOS_DATE_1980_01_01, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // offset of the local header
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // end of central directory signature
+    end.setUint16(8, files.length, true);       // entries on this disk
+    end.setUint16(10, files.length, true);      // total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // central directory offset
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportFileName(extension, suffix = '') {
+    const date = new Date().toISOString().slice(0, 10);
+    return `real-estate-roi-${date}${suffix}.${extension}`;
+}
+
+function exportCsv() {
+    const sheetId = document.getElementById('csvExportSheet').value;
+    const sheets = buildExportSheets(lastCalculation.inputs, lastCalculation.results);
+    const sheet = sheets.find(candidate => candidate.id === sheetId);
+
+    // Every file records the inputs it was calculated from, above the table itself
+    const inputRows = sheets.find(candidate => candidate.id === 'inputs').rows;
+    const rows = sheet.id === 'inputs' ? sheet.rows : [...inputRows, [], ...sheet.rows];
+
+    // The byte order mark makes Excel read the file as UTF-8
+    downloadFile(exportFileName('csv', `-${sheet.id}`), '\uFEFF' + toCsv(rows), 'text/csv;charset=utf-8');
+}
+
+function exportXlsx() {
+    const sheets = buildExportSheets(lastCalculation.inputs, lastCalculation.results);
+    downloadFile(exportFileName('xlsx'), buildXlsx(sheets),
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+// ============================================================================
+// Investment Report
+// ============================================================================
+
+/**
+ * Every input a calculation used as [label, value], with the labels shown
+ * on the form; repeatable rows are listed as "Prepayment 1", "Prepayment 2", ...
+ * Optional fields left at zero are omitted, as are blank ones.
+ * @param {object} inputs - Inputs the results were calculated from
+ */
+function describeInputs(inputs) {
+    const rows = [];
+    const isBlank = value => value === undefined || value === null || value === '' || Number.isNaN(value);
+    const fieldValue = (field, value) => {
+        if (field.tagName === 'SELECT') {
+            const option = Array.from(field.options).find(candidate => candidate.value === String(value));
+            return option ? option.text : String(value);
+        }
+        return typeof value === 'number' ? value.toLocaleString('en-IN') : String(value);
+    };
+
+    Array.from(document.getElementById('loanForm').elements).forEach((field) => {
+        const value = inputs[field.name];
+        if (!field.name || LIST_INPUTS[field.name] || isBlank(value) || value === false
+            || (value === 0 && !field.required)) {
+            return;
+        }
+        const label = field.type === 'checkbox'
+            ? field.closest('label')
+            : document.querySelector(`label[for="${field.id}"]`);
+        rows.push([label ? label.textContent.trim() : field.name, field.type === 'checkbox' ? 'Yes' : fieldValue(field, value)]);
+    });
+
+    Object.entries(LIST_INPUTS).forEach(([inputName, listId]) => {
+        const list = document.getElementById(listId);
+        const template = document.getElementById(list.dataset.template).content;
+        const rowName = document.querySelector(`.btn-add-row[data-list="${listId}"]`).textContent.replace('+ Add', '').trim();
+        (inputs[inputName] || []).forEach((item, index) => {
+            const details = Object.entries(item)
+                .filter(([, value]) => !isBlank(value))
+                .map(([name, value]) => {
+                    const field = template.querySelector(`[data-field="${name}"]`);
+                    return field
+                        ? `${field.closest('.row-field').firstChild.textContent.trim()}: ${fieldValue(field, value)}`
+                        : `${name}: ${value}`;
+                });
+            rows.push([`${rowName} ${index + 1}`, details.join(', ')]);
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Plain-language findings for the top of the report
+ * @param {object} inputs - Inputs the results were calculated from
+ * @param {object} data - Output of LoanCalculator.calculate()
+ * @returns {array} Sentences
+ */
+function buildReportNarrative(inputs, data) {
+    const years = data.yearLabels.length;
+    const lastYear = years - 1;
+    const sentences = [];
+
+    sentences.push(`A loan of ${formatCurrency(inputs.price - inputs.downPayment)} at ${inputs.interestRate}% over ` +
+        `${inputs.loanTenure} years costs ${formatCurrency(data.emi)} a month, with ` +
+        `${formatCurrency(data.interestPaidCumulative[lastYear])} paid in interest over the ${years}-year horizon.`);
+
+    const coverYear = data.rentalIncomeYearly.findIndex((rent, index) =>
+        data.emiPaidYearly[index] > 0 && rent >= data.emiPaidYearly[index]);
+    sentences.push(coverYear >= 0
+        ? `Rent covers the EMI from year ${coverYear + 1}.`
+        : 'Rent does not cover the EMI in any year while the loan is running.');
+
+    sentences.push(data.breakEvenYear
+        ? `Cumulative rent overtakes everything paid out (acquisition costs, EMIs and expenses) in year ${data.breakEvenYear}.`
+        : `Cumulative rent does not catch up with everything paid out within ${years} years.`);
+
+    sentences.push(data.outOfPocketMoney > 0
+        ? `The investor puts in ${formatCurrency(data.outOfPocketMoney)} of their own money overall, after rent and tax savings.`
+        : `Rent and tax savings return ${formatCurrency(-data.outOfPocketMoney)} more than the investor puts in, even before the sale.`);
+
+    sentences.push(`Selling in year ${data.exit.exitYear} for ${formatCurrency(data.exit.salePrice)} leaves ` +
+        `${formatCurrency(data.exit.netSaleProceeds)} after the loan, selling costs and capital gains tax, ` +
+        `a realised gain of ${formatCurrency(data.realisedGain)} and an equity IRR of ${formatPercent(data.returns.irr)}.`);
+
+    if (data.returns.minDSCR !== null && data.returns.minDSCR < 1) {
+        sentences.push(`Net rent does not fully service the debt: the lowest DSCR is ${data.returns.minDSCR.toFixed(2)}.`);
+    }
+
+    if (data.eligibility) {
+        const eligibility = data.eligibility;
+        sentences.push(`On the borrower's income a lender would lend up to ${formatCurrency(eligibility.maxLoan)} ` +
+            `(limited by ${eligibility.limitedBy === 'income' ? 'the ' + eligibility.foirLimitPct + '% FOIR limit' : "RBI's loan-to-value cap"}), ` +
+            (eligibility.downPaymentSufficient
+                ? 'so the down payment is enough.'
+                : `so the down payment is ${formatCurrency(eligibility.shortfall)} short.`));
+    }
+
+    if (data.refinanceImpact) {
+        const refinance = data.refinanceImpact;
+        sentences.push(`Moving the ${formatCurrency(refinance.balanceTransferred)} balance to a new lender at ` +
+            `${refinance.newRate}% in month ${refinance.switchMonth} costs ${formatCurrency(refinance.switchingCost)} ` +
+            `and saves ${formatCurrency(refinance.interestSaved)} in interest; ` +
+            (refinance.breakEvenMonth
+                ? `the savings cover the costs by month ${refinance.breakEvenMonth}.`
+                : 'the savings never cover the costs.'));
+    }
+
+    if (data.opportunityCost) {
+        const advantage = data.opportunityCost.advantageAtExit;
+        sentences.push(`Compared with investing the same cash at ${data.opportunityCost.alternativeReturn}% a year, ` +
+            `buying ends ${formatCurrency(Math.abs(advantage))} ${advantage >= 0 ? 'ahead' : 'behind'}.`);
+    }
+
+    return sentences;
+}
+
+function buildReportHtml(inputs, data) {
+    const tableRows = rows => rows.map(([label, value]) =>
+        `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('');
+
+    const stats = buildSummaryStats(data).map(stat => `
+        <div class="stat-card">
+            <div class="stat-label">${stat.label}</div>
+            <div class="stat-value" style="color: ${stat.color}">${stat.value}</div>
+        </div>
+    `).join('');
+
+    // Charts are copied as images so they print at a fixed size
+    const charts = Array.from(document.querySelectorAll('.charts-section .chart-container:not(.hidden)')).map(container => `
+        <figure class="report-figure">
+            <figcaption>${container.querySelector('h2').textContent}</figcaption>
+            <img src="${container.querySelector('canvas').toDataURL('image/png')}" alt="">
+        </figure>
+    `).join('');
+
+    const yearlyHeader = AMORTIZATION_COLUMNS.map(column => `<th>${column.label}</th>`).join('');
+    const yearlyBody = buildYearlyTableRows(data).map(row => `
+        <tr>
+            <td>Year ${row.year}</td>
+            ${AMORTIZATION_COLUMNS.slice(1).map(column => `<td>${formatCurrency(row[column.key])}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    return `
+        <header class="report-header">
+            <h1>Investment Report</h1>
+            <p>Property price ${formatCurrency(inputs.price)} · Prepared ${new Date().toLocaleDateString()}</p>
+        </header>
+
+        <section class="report-section">
+            <h2>Key Findings</h2>
+            <ul class="report-narrative">
+                ${buildReportNarrative(inputs, data).map(sentence => `<li>${sentence}</li>`).join('')}
+            </ul>
+            <div class="summary-stats report-stats">${stats}</div>
+        </section>
+
+        <section class="report-section">
+            <h2>Assumptions</h2>
+            <table class="data-table report-table">
+                <thead><tr><th>Input</th><th>Value</th></tr></thead>
+                <tbody>${tableRows(describeInputs(inputs))}</tbody>
+            </table>
+        </section>
+
+        <section class="report-section report-charts">
+            <h2>Charts</h2>
+            ${charts}
+        </section>
+
+        <section class="report-section report-yearly">
+            <h2>Year-by-Year</h2>
+            <table class="data-table report-table">
+                <thead><tr>${yearlyHeader}</tr></thead>
+                <tbody>${yearlyBody}</tbody>
+            </table>
+        </section>
+    `;
+}
+
+/**
+ * Fill the print-only report from the last calculation and open the print
+ * dialog, where it can be saved as PDF
+ */
+function printReport() {
+    document.getElementById('report').innerHTML = buildReportHtml(lastCalculation.inputs, lastCalculation.results);
+    window.print();
+}
+
+// ============================================================================
+// Form Inputs
+// ============================================================================
+
+/**
+ * Indicative stamp duty and registration charges by state (% of price,
+ * registration cap in ₹). They only pre-fill the form and can be overridden.
+ */
+const STATE_ACQUISITION_PRESETS = {
+    maharashtra: { stampDutyPct: 6, registrationPct: 1, registrationCap: 30000 },
+    karnataka: { stampDutyPct: 5.6, registrationPct: 1, registrationCap: 0 },
+    delhi: { stampDutyPct: 6, registrationPct: 1, registrationCap: 0 },
+    tamilNadu: { stampDutyPct: 7, registrationPct: 2, registrationCap: 0 },
+    telangana: { stampDutyPct: 5.5, registrationPct: 0.5, registrationCap: 0 },
+    westBengal: { stampDutyPct: 6, registrationPct: 1, registrationCap: 0 },
+    gujarat: { stampDutyPct: 4.9, registrationPct: 1, registrationCap: 0 },
+    uttarPradesh: { stampDutyPct: 7, registrationPct: 1, registrationCap: 0 },
+    haryana: { stampDutyPct: 7, registrationPct: 1, registrationCap: 50000 }
+};
+
+/**
+ * Fill stamp duty and registration fields from the selected state's preset
+ */
+function applyStatePreset() {
+    const preset = STATE_ACQUISITION_PRESETS[document.getElementById('acquisitionState').value];
+    if (!preset) {
+        return;
+    }
+
+    Object.keys(preset).forEach((field) => {
+        document.getElementById(field).value = preset[field] || '';
+    });
+}
+
+// Repeatable input lists, keyed by the LoanCalculator input they feed
+const LIST_INPUTS = {
+    capexItems: 'capexList',
+    disbursements: 'disbursementList',
+    prepayments: 'prepaymentList',
+    rateSchedule: 'rateResetList'
+};
+
+/**
+ * Read every input the calculator understands from the form
+ * @returns {object} Inputs for LoanCalculator
+ */
+function readFormInputs() {
+    const formData = new FormData(document.getElementById('loanForm'));
+
+    return {
+        price: parseFloat(formData.get('price')),
+        downPayment: parseFloat(formData.get('downPayment')),
+        interestRate: parseFloat(formData.get('interestRate')),
+        monthlyRent: parseFloat(formData.get('monthlyRent')),
+        rentEscalation: parseFloat(formData.get('rentEscalation')),
+        loanTenure: parseFloat(formData.get('loanTenure')),
+        propertyTax: parseFloat(formData.get('propertyTax')),
+        propertyAppreciation: parseFloat(formData.get('propertyAppreciation')),
+        propertyTaxInflation: parseOptionalNumber(formData.get('propertyTaxInflation')),
+        maintenanceMonthly: parseOptionalNumber(formData.get('maintenanceMonthly')),
+        maintenanceInflation: parseOptionalNumber(formData.get('maintenanceInflation')),
+        insuranceAnnual: parseOptionalNumber(formData.get('insuranceAnnual')),
+        insuranceInflation: parseOptionalNumber(formData.get('insuranceInflation')),
+        managementFeePct: parseOptionalNumber(formData.get('managementFeePct')),
+        repairsPct: parseOptionalNumber(formData.get('repairsPct')),
+        capexItems: readListRows('capexList'),
+        leaseMonths: parseOptionalNumber(formData.get('leaseMonths')),
+        vacancyMonths: parseOptionalNumber(formData.get('vacancyMonths')),
+        tenantBrokerageMonths: parseOptionalNumber(formData.get('tenantBrokerageMonths')),
+        badDebtPct: parseOptionalNumber(formData.get('badDebtPct')),
+        taxRegime: formData.get('taxRegime'),
+        occupancyType: formData.get('occupancyType'),
+        otherTaxableIncome: parseOptionalNumber(formData.get('otherTaxableIncome')),
+        other80CInvestments: parseOptionalNumber(formData.get('other80CInvestments')),
+        exitYear: parseOptionalNumber(formData.get('exitYear')),
+        sellingBrokeragePct: parseOptionalNumber(formData.get('sellingBrokeragePct')),
+        foreclosureChargePct: parseOptionalNumber(formData.get('foreclosureChargePct')),
+        underConstruction: formData.get('underConstruction') === 'on',
+        possessionMonth: parseOptionalNumber(formData.get('possessionMonth')),
+        fitOutMonths: parseOptionalNumber(formData.get('fitOutMonths')),
+        disbursements: readListRows('disbursementList'),
+        acquisitionState: formData.get('acquisitionState') || '',
+        stampDutyPct: parseOptionalNumber(formData.get('stampDutyPct')),
+        registrationPct: parseOptionalNumber(formData.get('registrationPct')),
+        registrationCap: parseOptionalNumber(formData.get('registrationCap')),
+        gstPct: parseOptionalNumber(formData.get('gstPct')),
+        loanProcessingFeePct: parseOptionalNumber(formData.get('loanProcessingFeePct')),
+        legalFees: parseOptionalNumber(formData.get('legalFees')),
+        purchaseBrokeragePct: parseOptionalNumber(formData.get('purchaseBrokeragePct')),
+        furnishingCost: parseOptionalNumber(formData.get('furnishingCost')),
+        discountRate: parseOptionalNumber(formData.get('discountRate'), null),
+        alternativeReturn: parseOptionalNumber(formData.get('alternativeReturn'), null),
+        startDate: formData.get('startDate') || undefined,
+        prepayments: readListRows('prepaymentList'),
+        rateSchedule: readListRows('rateResetList'),
+        rateResetMode: formData.get('rateResetMode'),
+        monthlyIncome: parseOptionalNumber(formData.get('monthlyIncome'), null),
+        existingEMIs: parseOptionalNumber(formData.get('existingEMIs')),
+        borrowerAge: parseOptionalNumber(formData.get('borrowerAge'), null),
+        retirementAge: parseOptionalNumber(formData.get('retirementAge'), null),
+        foirLimitPct: parseOptionalNumber(formData.get('foirLimitPct'), null),
+        rentCountedPct: parseOptionalNumber(formData.get('rentCountedPct'), null),
+        refinanceMonth: parseOptionalNumber(formData.get('refinanceMonth')),
+        refinanceRate: parseOptionalNumber(formData.get('refinanceRate'), null),
+        refinanceTenure: parseOptionalNumber(formData.get('refinanceTenure'), null),
+        refinanceFeePct: parseOptionalNumber(formData.get('refinanceFeePct')),
+        refinanceLegalFees: parseOptionalNumber(formData.get('refinanceLegalFees')),
+        refinanceStampDutyPct: parseOptionalNumber(formData.get('refinanceStampDutyPct'))
+    };
+}
+
+/**
+ * Fill the form from a set of calculator inputs (the reverse of
+ * readFormInputs). Fields missing from the inputs are cleared.
+ * @param {object} inputs - Inputs for LoanCalculator
+ */
+function writeFormInputs(inputs) {
+    Array.from(document.getElementById('loanForm').elements).forEach((field) => {
+        if (!field.name) {
+            return;
+        }
+
+        const value = inputs[field.name];
+        const isMissing = value === undefined || value === null || Number.isNaN(value);
+
+        if (field.type === 'checkbox') {
+            field.checked = Boolean(value);
+        } else if (field.tagName === 'SELECT' && isMissing) {
+            field.selectedIndex = 0;
+        } else {
+            field.value = isMissing ? '' : value;
+        }
+    });
+
+    Object.entries(LIST_INPUTS).forEach(([inputName, listId]) => {
+        document.getElementById(listId).innerHTML = '';
+        (inputs[inputName] || []).forEach(values => addListRow(listId, values));
+    });
+}
+
+/**
+ * Form element that messages for an input are shown next to
+ * @param {string} field - LoanCalculator input name
+ * @returns {HTMLElement|null} The field's form group, or its row list
+ */
+function getFieldContainer(field) {
+    if (LIST_INPUTS[field]) {
+        return document.getElementById(LIST_INPUTS[field]);
+    }
+    const input = document.getElementById(field);
+    return input ? input.closest('.form-group') : null;
+}
+
+/**
+ * Remove inline error and warning messages from the form
+ */
+function clearValidationMessages() {
+    document.querySelectorAll('#loanForm .field-message').forEach(message => message.remove());
+    document.querySelectorAll('#loanForm .has-error, #loanForm .has-warning').forEach((container) => {
+        container.classList.remove('has-error', 'has-warning');
+    });
+}
+
+/**
+ * Show validation errors and warnings next to the inputs they belong to.
+ * Collapsed sections holding an error are opened.
+ * @param {object} validation - Result of LoanCalculator.validateInputs()
+ * @returns {HTMLElement|null} The first field with an error
+ */
+function showValidationMessages(validation) {
+    clearValidationMessages();
+
+    const show = (level) => ({ field, message }) => {
+        const container = getFieldContainer(field);
+        if (!container) {
+            return;
+        }
+
+        const note = document.createElement('p');
+        note.className = `field-message field-${level}`;
+        note.textContent = (level === 'error' ? '❌ ' : '⚠️ ') + message;
+        container.classList.add(`has-${level}`);
+        container.insertAdjacentElement(LIST_INPUTS[field] ? 'afterend' : 'beforeend', note);
+
+        const section = container.closest('details');
+        if (section && level === 'error') {
+            section.open = true;
+        }
+    };
+
+    validation.errors.forEach(show('error'));
+    validation.warnings.forEach(show('warning'));
+
+    const firstError = validation.errors.map(({ field }) => getFieldContainer(field)).find(Boolean);
+    return firstError || null;
+}
+
+/**
+ * Re-check the form as it is edited, once it has been submitted
+ */
+function revalidateForm() {
+    if (document.getElementById('loanForm').dataset.validated) {
+        showValidationMessages(new LoanCalculator(readFormInputs()).validateInputs());
+    }
+}
+
+/**
+ * Parse an optional numeric field, falling back when it is left blank
+ * @param {string|null} value - Raw form value
+ * @param {number} fallback - Value to use for a blank field
+ * @returns {number} Parsed number
+ */
+function parseOptionalNumber(value, fallback = 0) {
+    return value === null || value === '' ? fallback : parseFloat(value);
+}
+
+/**
+ * Prevent the mouse wheel from silently changing a focused number input
+ */
+function preventWheelChange(input) {
+    input.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        input.blur();
+    }, { passive: false });
+}
+
+/**
+ * Append a row to a repeatable input list, cloned from the list's <template>
+ * @param {string} listId - ID of the list container
+ * @param {object} values - Optional initial values keyed by data-field
+ */
+function addListRow(listId, values = {}) {
+    const list = document.getElementById(listId);
+    const template = document.getElementById(list.dataset.template);
+    const row = template.content.firstElementChild.cloneNode(true);
+
+    row.querySelectorAll('[data-field]').forEach((field) => {
+        if (values[field.dataset.field] !== undefined) {
+            field.value = values[field.dataset.field];
+        }
+    });
+    row.querySelectorAll('input[type="number"]').forEach(preventWheelChange);
+    row.querySelector('.btn-remove-row').addEventListener('click', () => row.remove());
+
+    list.appendChild(row);
+}
+
+/**
+ * Read all rows of a repeatable input list. Number fields are parsed and
+ * blank fields are left out, so the calculator sees only what was entered.
+ * @param {string} listId - ID of the list container
+ * @returns {array} One object per row keyed by data-field
+ */
+function readListRows(listId) {
+    return Array.from(document.getElementById(listId).children).map((row) => {
+        const values = {};
+
+        row.querySelectorAll('[data-field]').forEach((field) => {
+            if (field.value === '') {
+                return;
+            }
+            values[field.dataset.field] = field.type === 'number' ? parseFloat(field.value) : field.value;
+        });
+
+        return values;
+    });
+}
+
+// ============================================================================
+// Shareable Links
+// ============================================================================
+
+/**
+ * Version of the encoded link state. Bump it when an existing field changes
+ * meaning and add an upgrade step below; new fields need no bump because a
+ * field missing from an old link is restored as blank, i.e. its default.
+ */
+const SHARE_STATE_VERSION = 1;
+
+// Upgrade steps keyed by the version they convert from
+const SHARE_STATE_MIGRATIONS = {};
+
+/**
+ * Encode form inputs as a URL hash, e.g. "#v=1&state=eyJwcmljZSI6..."
+ * @param {object} inputs - Inputs as returned by readFormInputs()
+ * @returns {string} URL hash
+ */
+function encodeShareState(inputs) {
+    const compact = {};
+    Object.entries(inputs).forEach(([name, value]) => {
+        const isEmpty = value === null || value === undefined || Number.isNaN(value) ||
+            (Array.isArray(value) && !value.length);
+        if (!isEmpty) {
+            compact[name] = value;
+        }
+    });
+
+    const bytes = new TextEncoder().encode(JSON.stringify(compact));
+    const base64 = btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+    return `#v=${SHARE_STATE_VERSION}&state=${base64}`;
+}
+
+/**
+ * Decode a URL hash produced by encodeShareState()
+ * @param {string} hash - URL hash
+ * @returns {object|null} Form inputs, or null when the hash carries no state
+ */
+function decodeShareState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get('state');
+    if (!encoded) {
+        return null;
+    }
+
+    let version = parseInt(params.get('v'), 10) || 1;
+    if (version > SHARE_STATE_VERSION) {
+        throw new Error('This link was created by a newer version of the calculator');
+    }
+
+    let inputs;
+    try {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        inputs = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('This link is incomplete or damaged');
+    }
+
+    while (version < SHARE_STATE_VERSION) {
+        inputs = SHARE_STATE_MIGRATIONS[version](inputs);
+        version++;
+    }
+
+    return inputs;
+}
+
+/**
+ * Keep the address bar in sync with the last calculated inputs
+ */
+function updateShareUrl(inputs) {
+    history.replaceState(null, '', encodeShareState(inputs));
+    document.getElementById('resultsActions').classList.remove('hidden');
+}
+
+async function copyShareLink() {
+    const button = document.getElementById('copyLinkBtn');
+    const link = location.href;
+
+    try {
+        await navigator.clipboard.writeText(link);
+        button.textContent = '✅ Link Copied';
+    } catch (error) {
+        // Clipboard access can be blocked, e.g. on plain http
+        prompt('Copy this link:', link);
+    }
+
+    setTimeout(() => { button.textContent = '🔗 Copy Link'; }, 2000);
+}
+
+/**
+ * Restore and calculate the inputs carried in the page URL, if any
+ * @returns {boolean} Whether the URL carried inputs
+ */
+function restoreFromUrl() {
+    let inputs;
+    try {
+        inputs = decodeShareState(location.hash);
+    } catch (error) {
+        const errorMsg = document.getElementById('errorMessage');
+        errorMsg.textContent = '❌ ' + error.message;
+        errorMsg.classList.add('show');
+        return false;
+    }
+
+    if (!inputs) {
+        return false;
+    }
+
+    writeFormInputs(inputs);
+    calculateFromForm();
+    return true;
+}
+
+// ============================================================================
+// Saved Scenarios
+// ============================================================================
+
+const SCENARIO_STORAGE_KEY = 'realEstateROI.scenarios';
+const SCENARIO_COLORS = ['#3498db', '#e74c3c', '#27ae60', '#8e44ad'];
+
+/**
+ * Headline results used wherever several calculations are shown side by side
+ * unit: 'currency' | 'percent' | 'year'
+ */
+const KEY_METRICS = [
+    { label: 'Monthly EMI', unit: 'currency', value: r => r.emi },
+    { label: 'Cash Needed on Day One', unit: 'currency', value: r => r.acquisitionCosts.cashNeededOnDayOne },
+    { label: 'Total Interest Paid', unit: 'currency', value: r => r.interestPaidCumulative[r.interestPaidCumulative.length - 1] },
+    { label: 'Total Effective Rent', unit: 'currency', value: r => r.rentalIncomeCumulative[r.rentalIncomeCumulative.length - 1] },
+    { label: 'Total Operating Expenses', unit: 'currency', value: r => r.operatingExpensesCumulative[r.operatingExpensesCumulative.length - 1] },
+    { label: 'Total Out-of-Pocket Money', unit: 'currency', value: r => r.outOfPocketMoney },
+    { label: 'Net Sale Proceeds', unit: 'currency', value: r => r.exit.netSaleProceeds },
+    { label: 'Realised After-Tax Gain', unit: 'currency', value: r => r.realisedGain },
+    { label: 'Equity IRR', unit: 'percent', value: r => r.returns.irr },
+    { label: 'Break-Even Year', unit: 'year', value: r => r.breakEvenYear }
+];
+
+function formatMetric(value, unit) {
+    if (value === null || value === undefined) {
+        return unit === 'year' ? 'Never' : 'N/A';
+    }
+    if (unit === 'percent') {
+        return formatPercent(value);
+    }
+    if (unit === 'year') {
+        return `Year ${value}`;
+    }
+    return formatCurrency(value);
+}
+
+function formatMetricDiff(diff, unit) {
+    const sign = diff >= 0 ? '+' : '-';
+    if (unit === 'percent') {
+        return sign + Math.abs(diff).toFixed(2) + ' pts';
+    }
+    if (unit === 'year') {
+        return sign + Math.abs(diff) + ' yrs';
+    }
+    return sign + formatCurrency(Math.abs(diff));
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Read saved scenarios from browser storage
+ * @returns {array} [{id, name, savedAt, inputs}]
+ */
+function loadScenarios() {
+    try {
+        return JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function storeScenarios(scenarios) {
+    localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    renderScenarioList();
+    renderPortfolioSources();
+}
+
+function showScenarioMessage(message) {
+    const messageBox = document.getElementById('scenarioMessage');
+    messageBox.textContent = message ? '❌ ' + message : '';
+    messageBox.classList.toggle('show', Boolean(message));
+}
+
+/**
+ * Save the current form inputs under the entered name, replacing any
+ * scenario that already has that name
+ */
+function saveCurrentScenario() {
+    const scenarios = loadScenarios();
+    const nameInput = document.getElementById('scenarioName');
+    let name = nameInput.value.trim();
+    if (!name) {
+        // Default to the first "Scenario N" not already taken, so an unnamed save never overwrites
+        let number = scenarios.length + 1;
+        while (scenarios.some(scenario => scenario.name === `Scenario ${number}`)) {
+            number++;
+        }
+        name = `Scenario ${number}`;
+    }
+    const existing = scenarios.find(scenario => scenario.name === name);
+    const scenario = {
+        id: existing ? existing.id : Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: name,
+        savedAt: new Date().toISOString(),
+        inputs: readFormInputs()
+    };
+
+    storeScenarios(existing
+        ? scenarios.map(saved => saved.id === existing.id ? scenario : saved)
+        : scenarios.concat(scenario));
+    nameInput.value = '';
+    showScenarioMessage(null);
+}
+
+function renderScenarioList() {
+    const container = document.getElementById('scenarioList');
+    const scenarios = loadScenarios();
+
+    if (!scenarios.length) {
+        container.innerHTML = '<p class="form-hint">No saved scenarios yet.</p>';
+        return;
+    }
+
+    container.innerHTML = scenarios.map(scenario => `
+        <div class="scenario-row" data-id="${scenario.id}">
+            <label class="checkbox-label">
+                <input type="checkbox" class="scenario-select">
+                <span class="scenario-name">${escapeHtml(scenario.name)}</span>
+            </label>
+            <span class="scenario-date">${new Date(scenario.savedAt).toLocaleDateString()}</span>
+            <div class="scenario-actions">
+                <button type="button" class="btn-small" data-action="load">Load</button>
+                <button type="button" class="btn-small" data-action="duplicate">Duplicate</button>
+                <button type="button" class="btn-small" data-action="rename">Rename</button>
+                <button type="button" class="btn-small btn-danger" data-action="delete">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Handle the load / duplicate / rename / delete buttons of a saved scenario
+ */
+function handleScenarioAction(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) {
+        return;
+    }
+
+    const id = button.closest('.scenario-row').dataset.id;
+    const scenarios = loadScenarios();
+    const scenario = scenarios.find(saved => saved.id === id);
+
+    switch (button.dataset.action) {
+        case 'load':
+            writeFormInputs(scenario.inputs);
+            calculateFromForm();
+            break;
+        case 'duplicate':
+            storeScenarios(scenarios.concat({
+                ...scenario,
+                id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                name: `${scenario.name} (copy)`,
+                savedAt: new Date().toISOString()
+            }));
+            break;
+        case 'rename': {
+            const name = (prompt('Rename scenario', scenario.name) || '').trim();
+            if (name) {
+                storeScenarios(scenarios.map(saved => saved.id === id ? { ...saved, name } : saved));
+            }
+            break;
+        }
+        case 'delete':
+            if (confirm(`Delete scenario "${scenario.name}"?`)) {
+                storeScenarios(scenarios.filter(saved => saved.id !== id));
+            }
+            break;
+    }
+}
+
+/**
+ * Calculate the selected scenarios and overlay them in the comparison view
+ */
+function compareSelectedScenarios() {
+    const selectedIds = Array.from(document.querySelectorAll('.scenario-select:checked'))
+        .map(checkbox => checkbox.closest('.scenario-row').dataset.id);
+
+    if (selectedIds.length < 2 || selectedIds.length > 4) {
+        showScenarioMessage('Select between two and four scenarios to compare');
+        return;
+    }
+
+    const scenarios = loadScenarios();
+    const compared = [];
+
+    for (const id of selectedIds) {
+        const scenario = scenarios.find(saved => saved.id === id);
+        try {
+            compared.push({ name: scenario.name, results: new LoanCalculator(scenario.inputs).calculate() });
+        } catch (error) {
+            showScenarioMessage(`${scenario.name}: ${error.message}`);
+            return;
+        }
+    }
+
+    showScenarioMessage(null);
+    document.getElementById('scenarioComparison').classList.remove('hidden');
+    displayComparisonTable(compared);
+    createComparisonChart(document.getElementById('comparePrincipalChart'), compared, 'principalRemaining');
+    createComparisonChart(document.getElementById('compareNetPositionChart'), compared, 'netPosition');
+    createComparisonChart(document.getElementById('compareCashFlowChart'), compared, 'afterTaxCashFlowYearly');
+}
+
+/**
+ * Table of key metrics per scenario, with the difference from the first one
+ */
+function displayComparisonTable(compared) {
+    const header = compared.map((scenario, index) => `
+        <th style="color: ${SCENARIO_COLORS[index]}">${escapeHtml(scenario.name)}</th>
+    `).join('');
+
+    const rows = KEY_METRICS.map(metric => {
+        const base = metric.value(compared[0].results);
+        const cells = compared.map((scenario, index) => {
+            const value = metric.value(scenario.results);
+            const hasDiff = index > 0 && value !== null && base !== null;
+            return `<td>${formatMetric(value, metric.unit)}${hasDiff
+                ? `<span class="metric-diff">${formatMetricDiff(value - base, metric.unit)}</span>`
+                : ''}</td>`;
+        }).join('');
+        return `<tr><th>${metric.label}</th>${cells}</tr>`;
+    }).join('');
+
+    document.getElementById('comparisonTable').innerHTML = `
+        <table class="data-table">
+            <thead><tr><th>Metric</th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function createComparisonChart(container, compared, seriesKey) {
+    const ctx = container.getContext('2d');
+    window.comparisonChartInstances = window.comparisonChartInstances || {};
+
+    // Destroy previous chart if it exists
+    if (window.comparisonChartInstances[container.id]) {
+        window.comparisonChartInstances[container.id].destroy();
+    }
+
+    const longest = compared.reduce((a, b) => b.results.yearLabels.length > a.results.yearLabels.length ? b : a);
+
+    window.comparisonChartInstances[container.id] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: longest.results.yearLabels,
+            datasets: compared.map((scenario, index) => ({
+                label: scenario.name,
+                data: scenario.results[seriesKey],
+                borderColor: SCENARIO_COLORS[index],
+                backgroundColor: SCENARIO_COLORS[index],
+                borderWidth: 3,
+                tension: 0.3,
+                fill: false,
+                yAxisID: 'y'
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: { size: 12, weight: 'bold' }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    titleFont: { size: 13 },
+                    bodyFont: { size: 12 },
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Amount (₹)',
+                        font: { weight: 'bold' }
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Year',
+                        font: { weight: 'bold' }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ============================================================================
+// Portfolio
+// ============================================================================
+
+const PORTFOLIO_STORAGE_KEY = 'realEstateROI.portfolio';
+const PORTFOLIO_COLORS = [...SCENARIO_COLORS, '#f39c12', '#16a085', '#d35400', '#2c3e50'];
+
+/**
+ * Read the saved portfolio from browser storage
+ * @returns {array} [{id, name, startYear, inputs}]
+ */
+function loadPortfolio() {
+    try {
+        return JSON.parse(localStorage.getItem(PORTFOLIO_STORAGE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function storePortfolio(properties) {
+    localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(properties));
+    renderPortfolioList();
+}
+
+function showPortfolioMessage(message) {
+    const messageBox = document.getElementById('portfolioMessage');
+    messageBox.textContent = message ? '❌ ' + message : '';
+    messageBox.classList.toggle('show', Boolean(message));
+}
+
+/**
+ * Offer the current form and every saved scenario as a property source
+ */
+function renderPortfolioSources() {
+    const select = document.getElementById('portfolioSource');
+    select.innerHTML = '<option value="">Current form inputs</option>' + loadScenarios()
+        .map(scenario => `<option value="${scenario.id}">Scenario: ${escapeHtml(scenario.name)}</option>`).join('');
+}
+
+function addPortfolioProperty() {
+    const properties = loadPortfolio();
+    const sourceId = document.getElementById('portfolioSource').value;
+    const scenario = loadScenarios().find(saved => saved.id === sourceId);
+    const nameInput = document.getElementById('portfolioName');
+    const startYear = parseInt(document.getElementById('portfolioStartYear').value, 10);
+
+    if (!Number.isInteger(startYear)) {
+        showPortfolioMessage('Enter the year the property was (or will be) bought');
+        return;
+    }
+
+    storePortfolio(properties.concat({
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: nameInput.value.trim() || (scenario ? scenario.name : `Property ${properties.length + 1}`),
+        startYear,
+        inputs: scenario ? scenario.inputs : readFormInputs()
+    }));
+    nameInput.value = '';
+    showPortfolioMessage(null);
+}
+
+function renderPortfolioList() {
+    const container = document.getElementById('portfolioList');
+    const properties = loadPortfolio();
+
+    if (!properties.length) {
+        container.innerHTML = '<p class="form-hint">No properties in the portfolio yet.</p>';
+        return;
+    }
+
+    container.innerHTML = properties.map((property, index) => `
+        <div class="scenario-row" data-id="${property.id}">
+            <span class="scenario-name" style="color: ${PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length]}">${escapeHtml(property.name)}</span>
+            <label class="row-field">Bought In
+                <input type="number" class="portfolio-start-year" value="${property.startYear}">
+            </label>
+            <div class="scenario-actions">
+                <button type="button" class="btn-small" data-action="load">Load</button>
+                <button type="button" class="btn-small btn-danger" data-action="remove">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function handlePortfolioListChange(event) {
+    if (!event.target.classList.contains('portfolio-start-year')) {
+        return;
+    }
+    const id = event.target.closest('.scenario-row').dataset.id;
+    const startYear = parseInt(event.target.value, 10);
+    if (Number.isInteger(startYear)) {
+        storePortfolio(loadPortfolio().map(property => property.id === id ? { ...property, startYear } : property));
+    }
+}
+
+function handlePortfolioAction(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) {
+        return;
+    }
+
+    const id = button.closest('.scenario-row').dataset.id;
+    const properties = loadPortfolio();
+
+    if (button.dataset.action === 'load') {
+        writeFormInputs(properties.find(property => property.id === id).inputs);
+        calculateFromForm();
+    } else if (button.dataset.action === 'remove') {
+        storePortfolio(properties.filter(property => property.id !== id));
+    }
+}
+
+function calculatePortfolioFromList() {
+    const properties = loadPortfolio();
+    if (!properties.length) {
+        showPortfolioMessage('Add at least one property to the portfolio');
+        return;
+    }
+
+    let portfolio;
+    try {
+        portfolio = calculatePortfolio(properties);
+    } catch (error) {
+        showPortfolioMessage(error.message);
+        return;
+    }
+
+    showPortfolioMessage(null);
+    document.getElementById('portfolioResults').classList.remove('hidden');
+    displayPortfolioStats(portfolio);
+    displayPortfolioContribution(portfolio);
+    createPortfolioValueChart(document.getElementById('portfolioValueChart'), portfolio);
+    createPortfolioCashFlowChart(document.getElementById('portfolioCashFlowChart'), portfolio);
+    createPortfolioContributionChart(document.getElementById('portfolioContributionChart'), portfolio);
+}
+
+function displayPortfolioStats(portfolio) {
+    const { years, totals } = portfolio;
+    const peak = (series) => {
+        const index = series.indexOf(Math.max(...series));
+        return { value: series[index], year: years[index] };
+    };
+    const peakEMI = peak(totals.emi);
+    const peakLoan = peak(totals.principal);
+    const peakValue = peak(totals.propertyValue);
+
+    const stats = [
+        {
+            label: 'Properties',
+            value: `${portfolio.holdings.length} (${years[0]}–${years[years.length - 1]})`,
+            color: '#2c3e50'
+        },
+        {
+            label: 'Cash Needed on Day One (All Purchases)',
+            value: formatCurrency(portfolio.cashNeededOnDayOne),
+            color: '#c0392b'
+        },
+        {
+            label: `Peak Yearly EMI (${peakEMI.year})`,
+            value: formatCurrency(peakEMI.value),
+            color: '#3498db'
+        },
+        {
+            label: `Peak Outstanding Loan (${peakLoan.year})`,
+            value: formatCurrency(peakLoan.value),
+            color: '#e74c3c'
+        },
+        {
+            label: `Peak Portfolio Value (${peakValue.year})`,
+            value: formatCurrency(peakValue.value),
+            color: '#27ae60'
+        },
+        {
+            label: 'Cumulative After-Tax Cash Flow',
+            value: formatCurrency(totals.cashFlow.reduce((sum, value) => sum + value, 0)),
+            color: '#8e44ad'
+        },
+        {
+            label: 'Total Net Wealth Gain',
+            value: formatCurrency(portfolio.netWealthGain),
+            color: '#16a085',
+            highlight: true
+        }
+    ];
+
+    document.getElementById('portfolioStats').innerHTML = stats.map(stat => `
+        <div class="stat-card${stat.highlight ? ' highlight' : ''}">
+            <div class="stat-label">${stat.label}</div>
+            <div class="stat-value" style="color: ${stat.color}">${stat.value}</div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Table of what each property adds to the portfolio
+ */
+function displayPortfolioContribution(portfolio) {
+    const totalEMI = portfolio.totals.emi.reduce((sum, value) => sum + value, 0);
+    const share = (part, whole) => whole !== 0 ? formatPercent(part / whole * 100) : 'N/A';
+
+    const rows = portfolio.holdings.map((holding, index) => {
+        const emiPaid = holding.calendar.emi.reduce((sum, value) => sum + value, 0);
+        return `
+            <tr>
+                <td style="color: ${PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length]}">${escapeHtml(holding.name)}</td>
+                <td>${holding.startYear}</td>
+                <td>${formatCurrency(holding.results.emi)}</td>
+                <td>${formatCurrency(holding.results.acquisitionCosts.cashNeededOnDayOne)}</td>
+                <td>${share(emiPaid, totalEMI)}</td>
+                <td>${formatCurrency(holding.results.realisedGain)}</td>
+                <td>${share(holding.results.realisedGain, portfolio.netWealthGain)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('portfolioContribution').innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Property</th><th>Bought In</th><th>Monthly EMI</th><th>Cash on Day One</th>
+                    <th>Share of EMIs</th><th>Net Wealth Gain</th><th>Share of Gain</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function createPortfolioChart(container, labels, datasets, stacked) {
+    const ctx = container.getContext('2d');
+    window.portfolioChartInstances = window.portfolioChartInstances || {};
+
+    // Destroy previous chart if it exists
+    if (window.portfolioChartInstances[container.id]) {
+        window.portfolioChartInstances[container.id].destroy();
+    }
+
+    window.portfolioChartInstances[container.id] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: { size: 12, weight: 'bold' }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    titleFont: { size: 13 },
+                    bodyFont: { size: 12 },
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    stacked,
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Amount (₹)',
+                        font: { weight: 'bold' }
+                    }
+                },
+                x: {
+                    stacked,
+                    title: {
+                        display: true,
+                        text: 'Calendar Year',
+                        font: { weight: 'bold' }
+                    }
+                }
+            }
+        }
+    });
+}
+
+function createPortfolioValueChart(container, portfolio) {
+    createPortfolioChart(container, portfolio.years, [
+        {
+            type: 'line',
+            label: 'Total Property Value',
+            data: portfolio.totals.propertyValue,
+            borderColor: '#27ae60',
+            backgroundColor: 'rgba(39, 174, 96, 0.1)',
+            borderWidth: 3,
+            tension: 0.3,
+            fill: false,
+            stack: 'value'
+        },
+        ...portfolio.holdings.map((holding, index) => ({
+            label: `${holding.name} – Outstanding Loan`,
+            data: holding.calendar.principal,
+            backgroundColor: PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length],
+            stack: 'loan'
+        }))
+    ], true);
+}
+
+function createPortfolioCashFlowChart(container, portfolio) {
+    const line = (label, data, color) => ({
+        type: 'line',
+        label,
+        data,
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 3,
+        tension: 0.3,
+        fill: false
+    });
+
+    createPortfolioChart(container, portfolio.years, [
+        line('Total EMI', portfolio.totals.emi, '#3498db'),
+        line('Total Effective Rent', portfolio.totals.rent, '#27ae60'),
+        line('Total Operating Expenses', portfolio.totals.expenses, '#e67e22'),
+        {
+            label: 'After-Tax Cash Flow',
+            data: portfolio.totals.cashFlow,
+            backgroundColor: 'rgba(44, 62, 80, 0.4)',
+            borderColor: '#2c3e50',
+            borderWidth: 1
+        }
+    ], false);
+}
+
+function createPortfolioContributionChart(container, portfolio) {
+    createPortfolioChart(container, portfolio.years, portfolio.holdings.map((holding, index) => ({
+        label: holding.name,
+        data: holding.calendar.cashFlow,
+        backgroundColor: PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length]
+    })), true);
+}
+
+// ============================================================================
+// Batch Evaluation
+// ============================================================================
+
+const BATCH_COLUMNS = [
+    { key: 'rank', label: 'Rank' },
+    { key: 'name', label: 'Listing' },
+    { key: 'emi', label: 'Monthly EMI', format: formatCurrency },
+    { key: 'outOfPocket', label: 'Out-of-Pocket', format: formatCurrency },
+    { key: 'breakEvenYear', label: 'Break-Even Year', format: value => formatMetric(value, 'year') },
+    { key: 'netWealthGain', label: 'Net Wealth Gain', format: formatCurrency }
+];
+
+const batchTable = {
+    rows: [],
+    sortKey: 'rank',
+    ascending: true
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and newlines)
+ * @returns {array} Rows of cell strings
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read an imported file into one plain object per listing
+ * @param {string} fileName - Used to tell JSON from CSV
+ * @param {string} text - File contents
+ * @returns {array} Raw rows keyed by field name
+ */
+function parseBatchFile(fileName, text) {
+    if (/\.json$/i.test(fileName)) {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data)) {
+            throw new Error('A JSON import must be an array of input objects');
+        }
+        return data;
+    }
+
+    const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        throw new Error('The CSV file is empty');
+    }
+    const fields = header.map(name => name.trim());
+
+    return lines.map(cells => Object.fromEntries(fields.map((field, index) => [field, cells[index]])));
+}
+
+/**
+ * Convert one imported row into calculator inputs. Blank cells are left
+ * out so the calculator treats them as it treats blank form fields, and
+ * columns that are not calculator inputs (other than name) are ignored.
+ * @param {object} raw - Row keyed by field name
+ * @returns {object} {name, inputs, errors}
+ */
+function normalizeBatchRow(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { name: '', inputs: {}, errors: ['Each row must be an object of input fields'] };
+    }
+
+    const inputs = {};
+    const errors = [];
+
+    Object.entries(raw).forEach(([field, value]) => {
+        if (!INPUT_FIELDS.includes(field) || value === null || value === undefined || value === '') {
+            return;
+        }
+
+        try {
+            inputs[field] = parseInputValue(field, value);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    });
+
+    return { name: raw.name ? String(raw.name).trim() : '', inputs, errors };
+}
+
+/**
+ * Run every imported row through the calculator and rank the valid ones
+ * by net wealth gain (net sale proceeds less out-of-pocket money)
+ * @param {array} rawRows - Rows from parseBatchFile()
+ * @returns {array} Table rows; failed rows carry an error instead of results
+ */
+function evaluateBatch(rawRows) {
+    const rows = rawRows.map((raw, index) => {
+        const { name, inputs, errors } = normalizeBatchRow(raw);
+        const row = { name: name || `Row ${index + 1}`, inputs, rank: null };
+
+        try {
+            if (errors.length) {
+                throw new Error(errors.join('; '));
+            }
+            const results = new LoanCalculator(inputs).calculate();
+            return {
+                ...row,
+                emi: results.emi,
+                outOfPocket: results.outOfPocketMoney,
+                breakEvenYear: results.breakEvenYear,
+                netWealthGain: results.realisedGain
+            };
+        } catch (error) {
+            return { ...row, error: error.message };
+        }
+    });
+
+    rows.filter(row => !row.error)
+        .sort((a, b) => b.netWealthGain - a.netWealthGain)
+        .forEach((row, index) => { row.rank = index + 1; });
+
+    return rows;
+}
+
+async function handleBatchFile(event) {
+    const file = event.target.files[0];
+    const messageBox = document.getElementById('batchMessage');
+    messageBox.textContent = '';
+    messageBox.classList.remove('show');
+
+    if (!file) {
+        return;
+    }
+
+    try {
+        batchTable.rows = evaluateBatch(parseBatchFile(file.name, await file.text()));
+    } catch (error) {
+        messageBox.textContent = '❌ ' + error.message;
+        messageBox.classList.add('show');
+        return;
+    }
+
+    batchTable.sortKey = 'rank';
+    batchTable.ascending = true;
+    document.getElementById('batchResults').classList.remove('hidden');
+    renderBatchTable();
+}
+
+function renderBatchTable() {
+    const { rows, sortKey, ascending } = batchTable;
+    const filterText = document.getElementById('batchFilter').value.trim().toLowerCase();
+    const show = document.getElementById('batchShow').value;
+    const direction = ascending ? 1 : -1;
+
+    // Failed rows and missing values (e.g. no break-even) always sort last
+    const sortValue = row => {
+        const value = row[sortKey];
+        return value === null || value === undefined ? null : value;
+    };
+    const visibleRows = rows
+        .filter(row => row.name.toLowerCase().includes(filterText))
+        .filter(row => show === 'all' || (show === 'valid') === !row.error)
+        .sort((a, b) => {
+            const first = sortValue(a);
+            const second = sortValue(b);
+            if (first === null || second === null) {
+                return (first === null) - (second === null);
+            }
+            return (typeof first === 'string' ? first.localeCompare(second) : first - second) * direction;
+        });
+
+    const header = BATCH_COLUMNS.map(column => {
+        const sortClass = column.key === sortKey ? (ascending ? 'sorted-asc' : 'sorted-desc') : '';
+        return `<th data-sort="${column.key}" class="${sortClass}">${column.label}</th>`;
+    }).join('');
+
+    const body = visibleRows.map(row => {
+        const index = rows.indexOf(row);
+        if (row.error) {
+            return `
+                <tr class="batch-error-row">
+                    <td>—</td>
+                    <td>${escapeHtml(row.name)}</td>
+                    <td colspan="${BATCH_COLUMNS.length - 2}">❌ ${escapeHtml(row.error)}</td>
+                </tr>
+            `;
+        }
+        return `
+            <tr class="batch-row" data-index="${index}">
+                <td>${row.rank}</td>
+                <td>${escapeHtml(row.name)}</td>
+                ${BATCH_COLUMNS.slice(2).map(column => `<td>${column.format(row[column.key])}</td>`).join('')}
+            </tr>
+        `;
+    }).join('');
+
+    const failed = rows.filter(row => row.error).length;
+    document.getElementById('batchSummary').textContent =
+        `${rows.length - failed} of ${rows.length} listings evaluated` + (failed ? `, ${failed} with errors` : '');
+
+    document.getElementById('batchTable').innerHTML = `
+        <table class="data-table batch-table">
+            <thead><tr>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Sort on a column heading click; open the full results on a row click
+ */
+function handleBatchTableClick(event) {
+    const heading = event.target.closest('th[data-sort]');
+    if (heading) {
+        const key = heading.dataset.sort;
+        batchTable.ascending = batchTable.sortKey === key ? !batchTable.ascending : true;
+        batchTable.sortKey = key;
+        renderBatchTable();
+        return;
+    }
+
+    const row = event.target.closest('.batch-row');
+    if (row) {
+        writeFormInputs(batchTable.rows[row.dataset.index].inputs);
+        calculateFromForm();
+    }
+}
+
+// ============================================================================
+// Monte Carlo Simulation
+// ============================================================================
+
+let monteCarloWorker = null;
+
+/**
+ * Read the simulation settings; a blank mean uses the value on the main form
+ */
+function readMonteCarloSettings(inputs) {
+    const formData = new FormData(document.getElementById('monteCarloForm'));
+    const variable = (prefix, formValue) => ({
+        mean: parseOptionalNumber(formData.get(`${prefix}Mean`), formValue),
+        volatility: parseOptionalNumber(formData.get(`${prefix}Volatility`))
+    });
+
+    return {
+        paths: parseInt(formData.get('mcPaths'), 10),
+        seed: parseOptionalNumber(formData.get('mcSeed'), null),
+        propertyAppreciation: variable('mcAppreciation', inputs.propertyAppreciation),
+        rentEscalation: variable('mcRentEscalation', inputs.rentEscalation),
+        interestRate: variable('mcInterestRate', inputs.interestRate)
+    };
+}
+
+function validateMonteCarloSettings(settings) {
+    if (!Number.isInteger(settings.paths) || settings.paths < 100 || settings.paths > 20000) {
+        return 'Number of paths must be a whole number between 100 and 20,000';
+    }
+    const variables = [settings.propertyAppreciation, settings.rentEscalation, settings.interestRate];
+    if (variables.some(variable => !Number.isFinite(variable.mean))) {
+        return 'Each mean must be a number';
+    }
+    if (variables.some(variable => !Number.isFinite(variable.volatility) || variable.volatility < 0)) {
+        return 'Volatility cannot be negative';
+    }
+    return null;
+}
+
+function handleMonteCarloSubmit(event) {
+    event.preventDefault();
+
+    const messageBox = document.getElementById('monteCarloMessage');
+    const status = document.getElementById('monteCarloStatus');
+    messageBox.classList.remove('show');
+
+    const inputs = readFormInputs();
+    const settings = readMonteCarloSettings(inputs);
+    const error = new LoanCalculator(inputs).validateInputs().error || validateMonteCarloSettings(settings);
+    if (error) {
+        messageBox.textContent = '❌ ' + error;
+        messageBox.classList.add('show');
+        return;
+    }
+
+    const showProgress = done => { status.textContent = `Running… ${done.toLocaleString()} of ${settings.paths.toLocaleString()} paths`; };
+    const showError = (message) => {
+        status.textContent = '';
+        messageBox.textContent = '❌ ' + message;
+        messageBox.classList.add('show');
+    };
+    showProgress(0);
+
+    if (monteCarloWorker) {
+        monteCarloWorker.terminate();
+        monteCarloWorker = null;
+    }
+
+    try {
+        monteCarloWorker = new Worker('simulation-worker.js', { type: 'module' });
+    } catch (workerError) {
+        // Browsers without module worker support
+        setTimeout(() => {
+            try {
+                displayMonteCarloResults(runMonteCarlo(inputs, settings, showProgress));
+            } catch (runError) {
+                showError(runError.message);
+            }
+        }, 0);
+        return;
+    }
+
+    monteCarloWorker.onmessage = (message) => {
+        const { type } = message.data;
+        if (type === 'progress') {
+            showProgress(message.data.done);
+        } else if (type === 'result') {
+            displayMonteCarloResults(message.data.result);
+        } else if (type === 'error') {
+            showError(message.data.message);
+        }
+    };
+    monteCarloWorker.onerror = (workerError) => {
+        workerError.preventDefault();
+        showError('The simulation could not run: ' + workerError.message);
+    };
+    monteCarloWorker.postMessage({ inputs, settings });
+}
+
+function displayMonteCarloResults(simulation) {
+    const totalBreakEven = simulation.paths - simulation.neverBreakEven;
+    let running = 0;
+    const medianBreakEvenIndex = simulation.breakEvenCounts.findIndex((count) => {
+        running += count;
+        return running >= simulation.paths / 2;
+    });
+
+    document.getElementById('monteCarloStatus').textContent =
+        `${simulation.paths.toLocaleString()} paths simulated.`;
+    document.getElementById('monteCarloResults').classList.remove('hidden');
+
+    const stats = [
+        {
+            label: 'Probability of Negative Net Wealth Gain',
+            value: formatPercent(simulation.probabilityOfLoss),
+            color: simulation.probabilityOfLoss > 10 ? '#e74c3c' : '#27ae60',
+            highlight: true
+        },
+        {
+            label: 'Net Wealth Gain – P10',
+            value: formatCurrency(simulation.netWealthGain.p10),
+            color: '#e74c3c'
+        },
+        {
+            label: 'Net Wealth Gain – P50',
+            value: formatCurrency(simulation.netWealthGain.p50),
+            color: '#3498db'
+        },
+        {
+            label: 'Net Wealth Gain – P90',
+            value: formatCurrency(simulation.netWealthGain.p90),
+            color: '#27ae60'
+        },
+        {
+            label: 'Median Break-Even Year',
+            value: medianBreakEvenIndex >= 0 ? `Year ${medianBreakEvenIndex + 1}` : 'Never',
+            color: '#16a085'
+        },
+        {
+            label: 'Paths That Never Break Even',
+            value: formatPercent((simulation.paths - totalBreakEven) / simulation.paths * 100),
+            color: '#e67e22'
+        }
+    ];
+
+    document.getElementById('monteCarloStats').innerHTML = stats.map(stat => `
+        <div class="stat-card${stat.highlight ? ' highlight' : ''}">
+            <div class="stat-label">${stat.label}</div>
+            <div class="stat-value" style="color: ${stat.color}">${stat.value}</div>
+        </div>
+    `).join('');
+
+    createPercentileBandChart(document.getElementById('monteCarloNetPositionChart'), simulation.yearLabels, simulation.netPosition, '#3498db');
+    createPercentileBandChart(document.getElementById('monteCarloEquityChart'), simulation.yearLabels, simulation.equity, '#27ae60');
+    createBreakEvenDistributionChart(document.getElementById('monteCarloBreakEvenChart'), simulation);
+}
+
+function createPercentileBandChart(container, labels, band, color) {
+    const ctx = container.getContext('2d');
+    window.monteCarloChartInstances = window.monteCarloChartInstances || {};
+
+    // Destroy previous chart if it exists
+    if (window.monteCarloChartInstances[container.id]) {
+        window.monteCarloChartInstances[container.id].destroy();
+    }
+
+    window.monteCarloChartInstances[container.id] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'P10',
+                    data: band.p10,
+                    borderColor: color,
+                    borderWidth: 1,
+                    borderDash: [5, 5],
+                    pointRadius: 0,
+                    fill: false
+                },
+                {
+                    label: 'P90',
+                    data: band.p90,
+                    borderColor: color,
+                    backgroundColor: color + '33',
+                    borderWidth: 1,
+                    borderDash: [5, 5],
+                    pointRadius: 0,
+                    // Shade the band between P10 and P90
+                    fill: '-1'
+                },
+                {
+                    label: 'P50 (Median)',
+                    data: band.p50,
+                    borderColor: color,
+                    backgroundColor: color,
+                    borderWidth: 3,
+                    tension: 0.3,
+                    fill: false
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: { size: 12, weight: 'bold' }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    titleFont: { size: 13 },
+                    bodyFont: { size: 12 },
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Amount (₹)',
+                        font: { weight: 'bold' }
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Year',
+                        font: { weight: 'bold' }
+                    }
+                }
+            }
+        }
+    });
+}
+
+function createBreakEvenDistributionChart(container, simulation) {
+    const ctx = container.getContext('2d');
+    window.monteCarloChartInstances = window.monteCarloChartInstances || {};
+
+    // Destroy previous chart if it exists
+    if (window.monteCarloChartInstances[container.id]) {
+        window.monteCarloChartInstances[container.id].destroy();
+    }
+
+    const share = count => Math.round(count / simulation.paths * 10000) / 100;
+
+    window.monteCarloChartInstances[container.id] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: [...simulation.yearLabels, 'Never'],
+            datasets: [
+                {
+                    label: 'Share of Paths (%)',
+                    data: [...simulation.breakEvenCounts, simulation.neverBreakEven].map(share),
+                    backgroundColor: [
+                        ...simulation.breakEvenCounts.map(() => 'rgba(22, 160, 133, 0.6)'),
+                        'rgba(231, 76, 60, 0.6)'
+                    ],
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    titleFont: { size: 13 },
+                    bodyFont: { size: 12 },
+                    callbacks: {
+                        label: function(context) {
+                            return formatPercent(context.parsed.y) + ' of paths';
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    ticks: {
+                        callback: function(value) {
+                            return value + '%';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Share of Paths',
+                        font: { weight: 'bold' }
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Break-Even Year',
+                        font: { weight: 'bold' }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ============================================================================
+// Sensitivity Analysis
+// ============================================================================
+
+function showSensitivityMessage(message) {
+    const messageBox = document.getElementById('sensitivityMessage');
+    messageBox.textContent = message ? '❌ ' + message : '';
+    messageBox.classList.toggle('show', Boolean(message));
+}
+
+/**
+ * Read the shared settings and check the base inputs calculate
+ * @returns {object|null} {inputs, outputKey, rangePct}, or null after showing an error
+ */
+function readSensitivitySettings() {
+    const inputs = readFormInputs();
+    const outputKey = document.getElementById('sensitivityOutput').value;
+    const rangePct = parseFloat(document.getElementById('sensitivityRange').value);
+
+    const validation = new LoanCalculator(inputs).validateInputs();
+    if (!validation.isValid) {
+        showSensitivityMessage(validation.error);
+        return null;
+    }
+    if (!Number.isFinite(rangePct) || rangePct <= 0 || rangePct >= 100) {
+        showSensitivityMessage('Range must be between 0 and 100%');
+        return null;
+    }
+
+    showSensitivityMessage(null);
+    return { inputs, outputKey, rangePct };
+}
+
+function runSensitivity() {
+    const settings = readSensitivitySettings();
+    if (!settings) {
+        return;
+    }
+
+    const sensitivity = calculateSensitivity(settings.inputs, settings.outputKey, settings.rangePct);
+    document.getElementById('tornadoContainer').classList.remove('hidden');
+    createTornadoChart(document.getElementById('tornadoChart'), sensitivity, settings.rangePct);
+}
+
+function runHeatMap() {
+    const settings = readSensitivitySettings();
+    if (!settings) {
+        return;
+    }
+
+    const xKey = document.getElementById('heatMapX').value;
+    const yKey = document.getElementById('heatMapY').value;
+    if (xKey === yKey) {
+        showSensitivityMessage('Pick two different inputs for the heat map');
+        return;
+    }
+    if (!settings.inputs[xKey] || !settings.inputs[yKey]) {
+        showSensitivityMessage('Both heat map inputs need a non-zero value on the main form');
+        return;
+    }
+
+    displayHeatMap(calculateSensitivityGrid(settings.inputs, settings.outputKey, xKey, yKey, settings.rangePct));
+}
+
+function formatSensitivityInput(input, value) {
+    if (['price', 'downPayment', 'monthlyRent', 'propertyTax', 'maintenanceMonthly'].includes(input.key)) {
+        return formatCurrency(value);
+    }
+    if (input.key === 'loanTenure') {
+        return `${value} yrs`;
+    }
+    if (input.key === 'vacancyMonths') {
+        return `${value.toFixed(1)} mo`;
+    }
+    return value.toFixed(2) + '%';
+}
+
+/**
+ * Heat map of the output over two inputs, coloured green (better) to red
+ * (worse) relative to the base case
+ */
+function displayHeatMap(grid) {
+    const values = grid.cells.flat().filter(value => Number.isFinite(value));
+    const spread = Math.max(...values.map(value => Math.abs(value - grid.base)), 1e-9);
+    const cellColor = (value) => {
+        if (!Number.isFinite(value)) {
+            return '#ecf0f1';
+        }
+        const score = (value - grid.base) / spread * (grid.output.betterWhen === 'higher' ? 1 : -1);
+        return score >= 0
+            ? `rgba(39, 174, 96, ${0.15 + 0.6 * score})`
+            : `rgba(231, 76, 60, ${0.15 - 0.6 * score})`;
+    };
+
+    const header = grid.xValues.map(value => `<th>${formatSensitivityInput(grid.xInput, value)}</th>`).join('');
+    const rows = grid.cells.map((row, yIndex) => `
+        <tr>
+            <th>${formatSensitivityInput(grid.yInput, grid.yValues[yIndex])}</th>
+            ${row.map(value => `<td style="background: ${cellColor(value)}">${value === undefined ? '—' : formatMetric(value, grid.output.unit)}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    document.getElementById('heatMap').innerHTML = `
+        <table class="data-table heat-map">
+            <caption>${grid.output.label}: ${grid.yInput.label} (rows) × ${grid.xInput.label} (columns)</caption>
+            <thead><tr><th>${grid.yInput.label} \\ ${grid.xInput.label}</th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function createTornadoChart(container, sensitivity, rangePct) {
+    const ctx = container.getContext('2d');
+
+    // Destroy previous chart if it exists
+    if (window.tornadoChartInstance) {
+        window.tornadoChartInstance.destroy();
+    }
+
+    const { output, base, horizon, rows } = sensitivity;
+    const barEnd = value => value === null && output.unit === 'year' ? horizon + 1 : value;
+    const format = value => value === undefined ? 'not valid' : formatMetric(value, output.unit);
+
+    window.tornadoChartInstance = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rows.map(row => row.label),
+            datasets: [
+                {
+                    label: `Input −${rangePct}%`,
+                    data: rows.map(row => row.low.output === undefined ? null : [barEnd(base), barEnd(row.low.output)]),
+                    backgroundColor: 'rgba(231, 76, 60, 0.7)',
+                    borderColor: '#e74c3c',
+                    borderWidth: 1,
+                    grouped: false
+                },
+                {
+                    label: `Input +${rangePct}%`,
+                    data: rows.map(row => row.high.output === undefined ? null : [barEnd(base), barEnd(row.high.output)]),
+                    backgroundColor: 'rgba(52, 152, 219, 0.7)',
+                    borderColor: '#3498db',
+                    borderWidth: 1,
+                    grouped: false
+                }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: { size: 12, weight: 'bold' }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    titleFont: { size: 13 },
+                    bodyFont: { size: 12 },
+                    callbacks: {
+                        label: function(context) {
+                            const row = rows[context.dataIndex];
+                            const change = context.datasetIndex === 0 ? row.low : row.high;
+                            return `${context.dataset.label} (${formatSensitivityInput(row, change.value)}): ` +
+                                `${format(change.output)} vs ${format(base)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        callback: function(value) {
+                            return formatMetric(value, output.unit);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: output.label,
+                        font: { weight: 'bold' }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ============================================================================
+// Goal Seek
+// ============================================================================
+
+function formatGoalValue(value, unit) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return 'N/A';
+    }
+    if (unit === 'ratio') {
+        return value.toFixed(2);
+    }
+    return formatMetric(value, unit);
+}
+
+let goalSeekSolution = null;
+
+function runGoalSeek(event) {
+    event.preventDefault();
+
+    const resultBox = document.getElementById('goalSeekResult');
+    const inputs = readFormInputs();
+    const goal = {
+        inputKey: document.getElementById('goalInput').value,
+        outputKey: document.getElementById('goalOutput').value,
+        year: parseInt(document.getElementById('goalYear').value, 10),
+        comparator: document.getElementById('goalComparator').value,
+        target: parseFloat(document.getElementById('goalTarget').value)
+    };
+    const input = GOAL_INPUTS[goal.inputKey];
+    const output = GOAL_OUTPUTS[goal.outputKey];
+    goalSeekSolution = null;
+    document.getElementById('applyGoalBtn').classList.add('hidden');
+
+    const validation = new LoanCalculator(inputs).validateInputs();
+    let error = validation.isValid ? null : validation.error;
+    if (!error && !Number.isFinite(goal.target)) {
+        error = 'Enter a target value';
+    }
+    if (!error && output.yearly && !(Number.isInteger(goal.year) && goal.year >= 1)) {
+        error = 'Enter the year the goal applies to';
+    }
+    if (error) {
+        resultBox.className = 'goal-result error';
+        resultBox.textContent = '❌ ' + error;
+        return;
+    }
+
+    const result = goalSeek(inputs, goal);
+    const outputName = output.yearly ? `${output.label} in year ${goal.year}` : output.label;
+    const condition = `${outputName} ${goal.comparator === '=' ? '=' : goal.comparator === '>=' ? '≥' : '≤'} ${formatGoalValue(goal.target, output.unit)}`;
+    const inputRange = `${formatGoalValue(result.range[0], input.unit)} to ${formatGoalValue(result.range[1], input.unit)}`;
+
+    if (result.status === 'solved') {
+        goalSeekSolution = { key: goal.inputKey, value: result.value };
+        resultBox.className = 'goal-result success';
+        resultBox.textContent = goal.comparator === '='
+            ? `✅ ${input.label} of ${formatGoalValue(result.value, input.unit)} gives ${condition} ` +
+              `(${outputName}: ${formatGoalValue(result.achieved, output.unit)}).`
+            : `✅ The ${result.bound} ${input.label.toLowerCase()} for ${condition} is ` +
+              `${formatGoalValue(result.value, input.unit)} (${outputName}: ${formatGoalValue(result.achieved, output.unit)}).`;
+        document.getElementById('applyGoalBtn').classList.remove('hidden');
+    } else if (result.status === 'always') {
+        resultBox.className = 'goal-result success';
+        resultBox.textContent = `✅ ${condition} holds for every ${input.label.toLowerCase()} from ${inputRange}.`;
+    } else {
+        resultBox.className = 'goal-result error';
+        resultBox.textContent = `❌ No solution: no ${input.label.toLowerCase()} from ${inputRange} gives ${condition}. ` +
+            `Over that range ${outputName} goes from ${formatGoalValue(result.outputRange[0], output.unit)} ` +
+            `to ${formatGoalValue(result.outputRange[1], output.unit)}.`;
+    }
+}
+
+/**
+ * Put the solved value into the main form and recalculate
+ */
+function applyGoalSeekSolution() {
+    const field = document.getElementById(goalSeekSolution.key);
+    field.value = Math.round(goalSeekSolution.value * 100) / 100;
+    calculateFromForm();
+}
+
+function updateGoalYearVisibility() {
+    const output = GOAL_OUTPUTS[document.getElementById('goalOutput').value];
+    document.getElementById('goalYearGroup').classList.toggle('hidden', !output.yearly);
+}
+
+// ============================================================================
+// Lender Offers
+// ============================================================================
+
+const LOAN_OFFER_STORAGE_KEY = 'realEstateROI.loanOffers';
+
+// Columns with a rank show it next to the value (1 = cheapest)
+const LOAN_OFFER_COLUMNS = [
+    { key: 'name', label: 'Lender' },
+    { key: 'interestRate', label: 'Rate', format: formatPercent },
+    { key: 'emi', label: 'Monthly EMI', format: formatCurrency, ranked: true },
+    { key: 'upfrontCost', label: 'Upfront Fees', format: formatCurrency },
+    { key: 'totalInterest', label: 'Total Interest', format: formatCurrency },
+    { key: 'charges', label: 'Prepay / Foreclosure Charges', format: formatCurrency },
+    { key: 'totalOutflow', label: 'Total Outflow', format: formatCurrency, ranked: true },
+    { key: 'apr', label: 'APR (incl. Fees)', format: value => formatMetric(value, 'percent'), ranked: true }
+];
+
+const loanOfferTable = {
+    rows: [],
+    sortKey: 'apr',
+    ascending: true
+};
+
+/**
+ * Read the offers entered in the offer list
+ * @returns {array} Offers for compareLoanOffers()
+ */
+function readLoanOffers() {
+    return readListRows('loanOfferList').map(row => ({
+        ...row,
+        insuranceFinanced: row.insuranceFinanced === 'yes'
+    }));
+}
+
+function showLoanOfferMessage(message) {
+    const messageBox = document.getElementById('loanOfferMessage');
+    messageBox.textContent = message ? '❌ ' + message : '';
+    messageBox.classList.toggle('show', Boolean(message));
+}
+
+/**
+ * Fill the offer list with the offers saved last time, or one blank row
+ */
+function restoreLoanOffers() {
+    let offers;
+    try {
+        offers = JSON.parse(localStorage.getItem(LOAN_OFFER_STORAGE_KEY)) || [];
+    } catch (error) {
+        offers = [];
+    }
+
+    offers = offers.length ? offers : [{}];
+    offers.forEach(offer => addListRow('loanOfferList', {
+        ...offer,
+        insuranceFinanced: offer.insuranceFinanced ? 'yes' : 'no'
+    }));
+}
+
+function compareLoanOffersFromForm() {
+    showLoanOfferMessage('');
+    const offers = readLoanOffers();
+
+    if (!offers.length) {
+        showLoanOfferMessage('Add at least one offer to compare');
+        return;
+    }
+
+    let results;
+    try {
+        results = compareLoanOffers(readFormInputs(), offers);
+    } catch (error) {
+        showLoanOfferMessage(error.message);
+        return;
+    }
+
+    localStorage.setItem(LOAN_OFFER_STORAGE_KEY, JSON.stringify(offers));
+    loanOfferTable.rows = results;
+    document.getElementById('loanOfferResults').classList.remove('hidden');
+    renderLoanOfferTable();
+    createLoanOfferChart(document.getElementById('loanOfferChart'), results);
+}
+
+function renderLoanOfferTable() {
+    const { sortKey, ascending } = loanOfferTable;
+    const direction = ascending ? 1 : -1;
+
+    // Missing values (an offer without an APR) always sort last
+    const rows = loanOfferTable.rows.slice().sort((a, b) => {
+        const first = a[sortKey];
+        const second = b[sortKey];
+        if (first === null || second === null) {
+            return (first === null) - (second === null);
+        }
+        return (typeof first === 'string' ? first.localeCompare(second) : first - second) * direction;
+    });
+
+    const header = LOAN_OFFER_COLUMNS.map(column => {
+        const sortClass = column.key === sortKey ? (ascending ? 'sorted-asc' : 'sorted-desc') : '';
+        return `<th data-sort="${column.key}" class="${sortClass}">${column.label}</th>`;
+    }).join('');
+
+    const body = rows.map(row => `
+        <tr>
+            <td>${escapeHtml(row.name)}</td>
+            ${LOAN_OFFER_COLUMNS.slice(1).map(column => {
+                const rank = column.ranked ? ` <span class="offer-rank${row.ranks[column.key] === 1 ? ' best' : ''}">#${row.ranks[column.key]}</span>` : '';
+                return `<td>${column.format(row[column.key])}${rank}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+
+    document.getElementById('loanOfferTable').innerHTML = `
+        <table class="data-table">
+            <thead><tr>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+}
+
+function handleLoanOfferTableClick(event) {
+    const heading = event.target.closest('th[data-sort]');
+    if (!heading) {
+        return;
+    }
+
+    const key = heading.dataset.sort;
+    loanOfferTable.ascending = loanOfferTable.sortKey === key ? !loanOfferTable.ascending : true;
+    loanOfferTable.sortKey = key;
+    renderLoanOfferTable();
+}
+
+function createLoanOfferChart(container, offers) {
+    const ctx = container.getContext('2d');
+
+    // Destroy previous chart if it exists
+    if (window.loanOfferChartInstance) {
+        window.loanOfferChartInstance.destroy();
+    }
+
+    const years = Math.max(...offers.map(offer => offer.yearlyBalance.length));
+
+    window.loanOfferChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: Array.from({ length: years }, (value, index) => `Year ${index + 1}`),
+            datasets: offers.map((offer, index) => ({
+                label: offer.name,
+                data: offer.yearlyBalance.map(balance => Math.round(balance * 100) / 100),
+                borderColor: PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length],
+                backgroundColor: PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length],
+                borderWidth: 3,
+                fill: false,
+                tension: 0.4,
+                pointRadius: 3,
+                pointHoverRadius: 5
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: { size: 12, weight: 'bold' }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    titleFont: { size: 13 },
+                    bodyFont: { size: 12 },
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Outstanding Balance (₹)',
+                        font: { weight: 'bold' }
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Year',
+                        font: { weight: 'bold' }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ============================================================================
+// Event Handlers
+// ============================================================================
+
+function handleFormSubmit(event) {
+    event.preventDefault();
+    calculateFromForm();
+}
+
+// Inputs and results of the last successful calculation, used by the exports
+let lastCalculation = null;
+
+/**
+ * Run the calculator on the current form inputs and render all results
+ */
+function calculateFromForm() {
+    const errorMsg = document.getElementById('errorMessage');
+    errorMsg.classList.remove('show');
+    errorMsg.textContent = '';
+
+    const inputs = readFormInputs();
+    const calculator = new LoanCalculator(inputs);
+
+    const validation = calculator.validateInputs();
+    document.getElementById('loanForm').dataset.validated = 'true';
+    const firstError = showValidationMessages(validation);
+    if (firstError) {
+        firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const input = firstError.querySelector('input, select');
+        if (input) {
+            input.focus({ preventScroll: true });
+        }
+        return;
+    }
+
+    try {
+        // Calculate
+        const results = calculator.calculate();
+
+        // Display results
+        const loanChartContainer = document.getElementById('loanChart');
+        const rentalVsInterestChartContainer = document.getElementById('rentalVsInterestChart');
+        const rentalVsEMIChartContainer = document.getElementById('rentalVsEMIChart');
         const rentalYieldChartContainer = document.getElementById('rentalYieldChart');
         const netPositionChartContainer = document.getElementById('netPositionChart');
+        const taxChartContainer = document.getElementById('taxChart');
+        const rentVsBuyChartContainer = document.getElementById('rentVsBuyChart');
 
         createLoanChart(loanChartContainer, results);
         createRentalVsInterestChart(rentalVsInterestChartContainer, results);
         createRentalVsEMIChart(rentalVsEMIChartContainer, results);
         createRentalYieldChart(rentalYieldChartContainer, results);
         createNetPositionChart(netPositionChartContainer, results);
+        createTaxChart(taxChartContainer, results);
+        createRentVsBuyChart(rentVsBuyChartContainer, results);
         displaySummaryStats(results);
+        displayAmortizationTable(results);
+        updateShareUrl(inputs);
+        lastCalculation = { inputs, results };
 
         // Scroll to charts
         document.querySelector('.charts-section').scrollIntoView({ behavior: 'smooth' });
@@ -903,16 +3935,61 @@ function handleFormSubmit(event) {
     }
 }
 
-// Initialize event listeners when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    document.querySelectorAll('input[type="number"]').forEach((input) => {
-        input.addEventListener('wheel', (event) => {
-            event.preventDefault();
-            input.blur();
-        }, { passive: false });
+/**
+ * Wire up event listeners and pre-fill the form once the DOM is ready
+ */
+function initializeApp() {
+    document.querySelectorAll('input[type="number"]').forEach(preventWheelChange);
+
+    document.querySelectorAll('.btn-add-row').forEach((button) => {
+        button.addEventListener('click', () => addListRow(button.dataset.list));
     });
 
+    document.getElementById('acquisitionState').addEventListener('change', applyStatePreset);
     document.getElementById('loanForm').addEventListener('submit', handleFormSubmit);
+    document.getElementById('loanForm').addEventListener('change', revalidateForm);
+
+    document.getElementById('saveScenarioBtn').addEventListener('click', saveCurrentScenario);
+    document.getElementById('scenarioList').addEventListener('click', handleScenarioAction);
+    document.getElementById('compareScenariosBtn').addEventListener('click', compareSelectedScenarios);
+    renderScenarioList();
+
+    document.getElementById('portfolioStartYear').value = new Date().getFullYear();
+    document.getElementById('addPortfolioBtn').addEventListener('click', addPortfolioProperty);
+    document.getElementById('portfolioList').addEventListener('click', handlePortfolioAction);
+    document.getElementById('portfolioList').addEventListener('change', handlePortfolioListChange);
+    document.getElementById('calculatePortfolioBtn').addEventListener('click', calculatePortfolioFromList);
+    renderPortfolioSources();
+    renderPortfolioList();
+
+    document.getElementById('monteCarloForm').addEventListener('submit', handleMonteCarloSubmit);
+
+    document.getElementById('runSensitivityBtn').addEventListener('click', runSensitivity);
+    document.getElementById('runHeatMapBtn').addEventListener('click', runHeatMap);
+
+    document.getElementById('goalSeekForm').addEventListener('submit', runGoalSeek);
+    document.getElementById('goalOutput').addEventListener('change', updateGoalYearVisibility);
+    document.getElementById('applyGoalBtn').addEventListener('click', applyGoalSeekSolution);
+    updateGoalYearVisibility();
+
+    restoreLoanOffers();
+    document.getElementById('compareOffersBtn').addEventListener('click', compareLoanOffersFromForm);
+    document.getElementById('loanOfferTable').addEventListener('click', handleLoanOfferTableClick);
+
+    document.getElementById('batchFile').addEventListener('change', handleBatchFile);
+    document.getElementById('batchTable').addEventListener('click', handleBatchTableClick);
+    document.getElementById('batchFilter').addEventListener('input', renderBatchTable);
+    document.getElementById('batchShow').addEventListener('change', renderBatchTable);
+
+    document.getElementById('copyLinkBtn').addEventListener('click', copyShareLink);
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+    document.getElementById('exportXlsxBtn').addEventListener('click', exportXlsx);
+    document.getElementById('printReportBtn').addEventListener('click', printReport);
+    document.getElementById('amortizationTable').addEventListener('click', handleAmortizationTableClick);
+
+    if (restoreFromUrl()) {
+        return;
+    }
 
     // Pre-fill with example values for demonstration
     document.getElementById('price').value = 31200000;
@@ -923,4 +4000,11 @@ document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('loanTenure').value = 20;
     document.getElementById('propertyTax').value = 95000;
     document.getElementById('propertyAppreciation').value = 6;
-});
+    document.getElementById('acquisitionState').value = 'maharashtra';
+    applyStatePreset();
+    document.getElementById('loanProcessingFeePct').value = 0.5;
+    document.getElementById('legalFees').value = 25000;
+}
+
+// Initialize event listeners when DOM is ready
+document.addEventListener('DOMContentLoaded', initializeApp);
@@ -0,0 +1,18 @@
+/**
+ * Web Worker (module) that runs the Monte Carlo simulation off the UI thread.
+ * Receives {inputs, settings} and posts progress, then the result or an error.
+ */
+import { runMonteCarlo } from './engine.js';
+
+self.onmessage = function(event) {
+    const { inputs, settings } = event.data;
+
+    try {
+        const result = runMonteCarlo(inputs, settings, (done) => {
+            self.postMessage({ type: 'progress', done });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/roi.js', import.meta.url));
+
+function roi(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+test('roi calc --json prints the full result', () => {
+    const run = roi('calc', '--price', '32600000', '--down-payment', '6400000', '--rate', '8.25',
+        '--tenure', '20', '--rent', '55000', '--json');
+
+    assert.equal(run.status, 0, run.stderr);
+    const results = JSON.parse(run.stdout);
+    assert.equal(results.emi.toFixed(2), '223241.20');
+    assert.equal(results.schedule.length, 240);
+});
+
+test('roi calc reads an input file and lets flags override it', () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'roi-')), 'listing.json');
+    writeFileSync(file, JSON.stringify({ price: 32600000, downPayment: 6400000, interestRate: 9, loanTenure: 20, monthlyRent: 55000 }));
+
+    const run = roi('calc', '--input', file, '--rate', '8.25');
+
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /Monthly EMI\s+₹2,23,241/);
+    assert.match(run.stdout, /Year 20/);
+});
+
+test('roi calc reports bad input on stderr', () => {
+    const run = roi('calc', '--price', '100', '--rate', 'abc');
+
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /interestRate: "abc" is not a number/);
+});
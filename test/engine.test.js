@@ -0,0 +1,319 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoanCalculator, calculateIRR, calculateNPV, parseInputValue, maxLoanToValue, maxLoanForPrice,
+    compareLoanOffers, runMonteCarlo } from '../engine.js';
+
+// Sample let-out listing shared by the engine tests
+const BASE_INPUTS = {
+    price: 32600000,
+    downPayment: 6400000,
+    interestRate: 8.25,
+    monthlyRent: 55000,
+    rentEscalation: 5,
+    loanTenure: 20,
+    propertyTax: 12000,
+    propertyAppreciation: 6
+};
+
+test('computeEMI matches known EMI values', () => {
+    const calculator = new LoanCalculator(BASE_INPUTS);
+    assert.equal(calculator.computeEMI(26200000, 8.25, 240).toFixed(2), '223241.20');
+    assert.equal(calculator.computeEMI(100000, 10, 12).toFixed(2), '8791.59');
+    assert.equal(calculator.computeEMI(1200000, 0, 120), 10000);
+    assert.equal(calculator.calculateEMI().toFixed(2), '223241.20');
+});
+
+test('amortization schedule repays the loan over the tenure', () => {
+    const schedule = new LoanCalculator(BASE_INPUTS).generateAmortizationSchedule();
+
+    assert.equal(schedule.length, 240);
+    assert.equal(schedule[0].interest, 180125);
+    assert.equal(schedule[0].principal.toFixed(2), '43116.20');
+    assert.ok(Math.abs(schedule[schedule.length - 1].remaining) < 0.01);
+
+    const principalPaid = schedule.reduce((sum, month) => sum + month.principal, 0);
+    assert.ok(Math.abs(principalPaid - 26200000) < 0.01);
+});
+
+test('yearly aggregation matches the monthly schedule', () => {
+    const results = new LoanCalculator(BASE_INPUTS).calculate();
+
+    assert.equal(results.yearlyLoans.length, 20);
+    assert.equal(results.principalRemaining[0], 25662586.26);
+    assert.equal(results.interestPaidYearly[0], 2141480.67);
+    const firstYearInterest = results.schedule.slice(0, 12).reduce((sum, month) => sum + month.interest, 0);
+    assert.equal(Math.round(firstYearInterest * 100) / 100, results.interestPaidYearly[0]);
+});
+
+test('a lump-sum prepayment shortens the tenure and saves interest', () => {
+    const results = new LoanCalculator({
+        ...BASE_INPUTS,
+        prepayments: [{ month: 24, amount: 2000000, type: 'one-time' }]
+    }).calculate();
+
+    assert.ok(results.loanClosureMonth < 240);
+    assert.ok(results.prepaymentImpact.interestSaved > 0);
+    assert.equal(results.finalEMI.toFixed(2), '223241.20');
+});
+
+test('a reduce-EMI prepayment after a reduce-tenure one keeps the shorter tenure', () => {
+    const tenurePrepayment = { type: 'one-time', month: 12, amount: 5000000, mode: 'tenure' };
+    const shortened = new LoanCalculator({ ...BASE_INPUTS, prepayments: [tenurePrepayment] })
+        .generateAmortizationSchedule();
+    const mixed = new LoanCalculator({
+        ...BASE_INPUTS,
+        prepayments: [tenurePrepayment, { type: 'one-time', month: 24, amount: 1000, mode: 'emi' }]
+    }).generateAmortizationSchedule();
+
+    assert.equal(shortened.length, 160);
+    assert.equal(mixed.length, 160);
+    // The EMI drops by only the small prepayment spread over the remaining months
+    assert.ok(mixed[30].emi < shortened[30].emi);
+    assert.ok(shortened[30].emi - mixed[30].emi < 1000);
+});
+
+test('a rate reset after a reduce-tenure prepayment keeps the shorter tenure', () => {
+    const prepayments = [{ type: 'one-time', month: 12, amount: 5000000, mode: 'tenure' }];
+    const schedule = new LoanCalculator({ ...BASE_INPUTS, prepayments, rateSchedule: [{ fromYear: 3, rate: 8.26 }] })
+        .generateAmortizationSchedule();
+
+    assert.equal(schedule.length, 160);
+    // A 0.01% rise barely moves the EMI
+    assert.equal(schedule[24].rateReset, true);
+    assert.ok(Math.abs(schedule[24].emi - schedule[23].emi) < 500);
+});
+
+test('calculate() rejects a down payment above the price', () => {
+    assert.throws(
+        () => new LoanCalculator({ ...BASE_INPUTS, downPayment: 40000000 }).calculate(),
+        /Down Payment cannot be greater than Property Price/
+    );
+});
+
+test('validateInputs reports errors per field', () => {
+    const validation = new LoanCalculator({
+        ...BASE_INPUTS,
+        price: NaN,
+        interestRate: 200,
+        loanTenure: 20.5,
+        rentEscalation: -2
+    }).validateInputs();
+
+    assert.equal(validation.isValid, false);
+    assert.deepEqual(validation.errors.map(error => error.field), ['price', 'interestRate', 'loanTenure', 'rentEscalation']);
+    assert.equal(validation.error, 'Property price is required');
+    assert.deepEqual(validation.warnings, []);
+
+    const unreadable = new LoanCalculator({ ...BASE_INPUTS, existingEMIs: NaN, managementFeePct: NaN }).validateInputs();
+    assert.deepEqual(unreadable.errors.map(error => error.message),
+        ['Management fee (%) must be a number', 'Existing EMIs must be a number']);
+
+    const longTenure = new LoanCalculator({ ...BASE_INPUTS, loanTenure: 90 }).validateInputs();
+    assert.match(longTenure.error, /Loan tenure must be a whole number of years between 1 and 40/);
+});
+
+test('validateInputs warns about unlikely but usable inputs', () => {
+    const validation = new LoanCalculator({ ...BASE_INPUTS, downPayment: 1000000, monthlyRent: 20000 }).validateInputs();
+
+    assert.equal(validation.isValid, true);
+    assert.deepEqual(validation.warnings.map(warning => warning.field), ['monthlyRent', 'monthlyRent', 'downPayment']);
+    assert.match(validation.warnings[1].message, /Rent covers only 7% of the/);
+    assert.match(validation.warnings[2].message, /above RBI's 75% limit/);
+});
+
+test('validateInputs rejects rent on a self-occupied home', () => {
+    const validation = new LoanCalculator({ ...BASE_INPUTS, taxRegime: 'old', occupancyType: 'self-occupied' })
+        .validateInputs();
+    assert.deepEqual(validation.errors.map(error => error.field), ['monthlyRent']);
+
+    const selfOccupied = new LoanCalculator({ ...BASE_INPUTS, monthlyRent: 0, taxRegime: 'old', occupancyType: 'self-occupied' });
+    assert.equal(selfOccupied.validateInputs().isValid, true);
+    assert.ok(selfOccupied.calculate().rentalIncomeYearly.every(rent => rent === 0));
+});
+
+test('house-property losses are carried forward for 8 years', () => {
+    const { incomeTaxData } = new LoanCalculator({ ...BASE_INPUTS, taxRegime: 'old', otherTaxableIncome: 3000000 })
+        .calculate();
+    const carried = incomeTaxData.map(year => year.setOff - year.houseProperty);
+    const sum = (from, to) => carried.slice(from - 1, to).reduce((total, amount) => total + amount, 0);
+
+    assert.ok(incomeTaxData.slice(0, 10).every(year => year.houseProperty < -200000));
+    // Year 1's loss is still available in year 9 (assessment year 8) and lapses in year 10
+    assert.ok(Math.abs(incomeTaxData[8].lossCarriedForward - sum(1, 9)) < 0.01);
+    assert.ok(Math.abs(incomeTaxData[9].lossCarriedForward - sum(2, 10)) < 0.01);
+});
+
+test('RBI loan-to-value caps depend on the loan amount', () => {
+    assert.equal(maxLoanToValue(2500000), 90);
+    assert.equal(maxLoanToValue(5000000), 80);
+    assert.equal(maxLoanToValue(10000000), 75);
+    assert.equal(maxLoanForPrice(3000000), 2700000);
+    // 90% of 36 lakh (32.4 lakh) is above the 90% slab, so that slab gives its 30 lakh ceiling;
+    // 80% (28.8 lakh) would be a smaller loan
+    assert.equal(maxLoanForPrice(3600000), 3000000);
+    assert.equal(maxLoanForPrice(12000000), 9000000);
+});
+
+test('calculateEligibility caps the loan by FOIR, age and LTV', () => {
+    const calculator = new LoanCalculator({
+        ...BASE_INPUTS,
+        monthlyIncome: 300000,
+        existingEMIs: 20000,
+        borrowerAge: 45
+    });
+    const eligibility = calculator.calculateEligibility();
+
+    // 50% of (3,00,000 + 70% of 55,000 rent) less existing EMIs
+    assert.equal(eligibility.rentCounted, 38500);
+    assert.equal(eligibility.maxEMI, 149250);
+    assert.equal(eligibility.maxTenure, 15);
+    assert.equal(eligibility.tenureWithinLimit, false);
+    assert.ok(Math.abs(calculator.computeEMI(eligibility.maxLoan, 8.25, 180) - 149250) < 1e-6);
+    assert.equal(eligibility.limitedBy, 'income');
+    assert.equal(eligibility.downPaymentSufficient, false);
+    assert.ok(Math.abs(eligibility.minDownPayment - (32600000 - eligibility.maxLoan)) < 1e-6);
+
+    const wealthy = new LoanCalculator({ ...BASE_INPUTS, monthlyIncome: 5000000 }).calculateEligibility();
+    assert.equal(wealthy.limitedBy, 'ltv');
+    assert.equal(wealthy.maxLoan, 24450000);
+    assert.equal(wealthy.maxTenure, null);
+
+    assert.equal(new LoanCalculator(BASE_INPUTS).calculateEligibility(), null);
+});
+
+test('validateInputs checks the borrower age against the default retirement age', () => {
+    const validation = new LoanCalculator({
+        ...BASE_INPUTS,
+        monthlyIncome: 300000,
+        borrowerAge: 65,
+        retirementAge: null
+    }).validateInputs();
+
+    assert.equal(validation.isValid, false);
+    assert.deepEqual(validation.errors, [
+        { field: 'retirementAge', message: 'The borrower must be younger than the retirement age of 60' }
+    ]);
+});
+
+test('compareLoanOffers prices fees into the APR and ranks offers', () => {
+    const offers = compareLoanOffers(BASE_INPUTS, [
+        { name: 'No fees' },
+        { name: 'With fees', processingFeePct: 0.5, processingFee: 10000 },
+        { name: 'Lower rate', interestRate: 8 }
+    ]);
+
+    assert.deepEqual(offers.map(offer => offer.name), ['Lower rate', 'No fees', 'With fees']);
+    const [lowerRate, noFees, withFees] = offers;
+
+    // Without fees the APR is the quoted rate
+    assert.ok(Math.abs(noFees.apr - 8.25) < 1e-6);
+    assert.equal(noFees.emi.toFixed(2), '223241.20');
+    assert.equal(withFees.upfrontCost, 141000);
+    assert.ok(withFees.apr > 8.25);
+    assert.equal(withFees.totalOutflow - noFees.totalOutflow, 141000);
+    assert.deepEqual(lowerRate.ranks, { apr: 1, totalOutflow: 1, emi: 1 });
+    assert.equal(noFees.yearlyBalance.length, 20);
+
+    assert.throws(() => compareLoanOffers(BASE_INPUTS, [{ name: 'Bad', interestRate: 200 }]), /Bad: Interest rate/);
+});
+
+test('compareLoanOffers forecloses at the exit year with charges', () => {
+    const [offer] = compareLoanOffers({ ...BASE_INPUTS, exitYear: 10 }, [{ foreclosureChargePct: 2 }]);
+    const schedule = new LoanCalculator(BASE_INPUTS).generateAmortizationSchedule();
+
+    assert.equal(offer.name, 'Offer 1');
+    assert.equal(offer.outstanding, schedule[119].remaining);
+    assert.ok(Math.abs(offer.charges - schedule[119].remaining * 0.02) < 1e-6);
+    assert.equal(offer.yearlyBalance.length, 10);
+});
+
+test('compareLoanOffers adds financed insurance to the loan, not the price', () => {
+    const [offer] = compareLoanOffers(BASE_INPUTS, [{ insurancePremium: 300000, insuranceFinanced: true }]);
+    const calculator = new LoanCalculator(BASE_INPUTS);
+
+    assert.equal(offer.loanAmount, 26500000);
+    assert.equal(offer.emi, calculator.computeEMI(26500000, 8.25, 240));
+    assert.equal(offer.upfrontCost, 0);
+    assert.equal(new LoanCalculator({ ...BASE_INPUTS, financedPremium: 300000 }).calculateAcquisitionCosts().total,
+        calculator.calculateAcquisitionCosts().total);
+});
+
+test('compareLoanOffers ignores a balance transfer planned on the main loan', () => {
+    const refinance = { refinanceMonth: 36, refinanceRate: 7.5, refinanceTenure: 17 };
+    const [withTransfer] = compareLoanOffers({ ...BASE_INPUTS, ...refinance }, [{ interestRate: 8.5 }]);
+    const [withoutTransfer] = compareLoanOffers(BASE_INPUTS, [{ interestRate: 8.5 }]);
+
+    assert.equal(withTransfer.totalInterest, withoutTransfer.totalInterest);
+    assert.equal(withTransfer.apr, withoutTransfer.apr);
+});
+
+test('a balance transfer continues the schedule from the outstanding balance', () => {
+    const results = new LoanCalculator({
+        ...BASE_INPUTS,
+        refinanceMonth: 36,
+        refinanceRate: 7.5,
+        refinanceTenure: 17,
+        refinanceFeePct: 0.5,
+        refinanceLegalFees: 10000,
+        refinanceStampDutyPct: 0.2
+    }).calculate();
+    const { schedule, refinanceImpact } = results;
+
+    assert.equal(schedule[36].month, 37);
+    assert.equal(schedule[36].refinanced, true);
+    assert.equal(schedule[36].rate, 7.5);
+    assert.equal(refinanceImpact.balanceTransferred, schedule[35].remaining);
+    assert.equal(schedule[36].emi.toFixed(2), new LoanCalculator(BASE_INPUTS)
+        .computeEMI(schedule[35].remaining, 7.5, 17 * 12).toFixed(2));
+    assert.equal(schedule.length, 36 + 17 * 12);
+    assert.ok(Math.abs(schedule[schedule.length - 1].remaining) < 0.01);
+
+    assert.equal(Math.round(refinanceImpact.switchingCost),
+        Math.round(refinanceImpact.balanceTransferred * 0.007 + 10000));
+    assert.ok(refinanceImpact.interestSaved > refinanceImpact.switchingCost);
+    assert.equal(refinanceImpact.breakEvenMonth, 48);
+    assert.equal(refinanceImpact.monthsToBreakEven, 12);
+    // Switching costs are a financing outflow in the year of the switch, not an operating expense
+    assert.equal(results.yearlyLoans[3].switchingCost, refinanceImpact.switchingCost);
+    assert.equal(results.expenseData[3].total, 12000);
+    assert.ok(Math.abs(results.preTaxCashFlowYearly[3] - (results.rentalIncomeYearly[3] - results.emiPaidYearly[3]
+        - refinanceImpact.switchingCost - 12000)) < 0.05);
+});
+
+test('a balance transfer to a higher rate never breaks even', () => {
+    const calculator = new LoanCalculator({ ...BASE_INPUTS, refinanceMonth: 36, refinanceRate: 9, refinanceTenure: 17 });
+
+    assert.deepEqual(calculator.validateInputs().warnings.map(warning => warning.field), ['refinanceRate', 'downPayment']);
+    assert.equal(calculator.calculate().refinanceImpact.breakEvenMonth, null);
+    assert.deepEqual(new LoanCalculator({ ...BASE_INPUTS, refinanceMonth: 36 }).validateInputs().errors
+        .map(error => error.field), ['refinanceRate', 'refinanceTenure']);
+});
+
+test('runMonteCarlo shifts floating-rate resets with the sampled rate', () => {
+    const fixedDraw = mean => ({ mean, volatility: 0 });
+    const results = runMonteCarlo({ ...BASE_INPUTS, rateSchedule: [{ fromYear: 2, rate: 9 }] }, {
+        paths: 1,
+        seed: 7,
+        propertyAppreciation: fixedDraw(6),
+        rentEscalation: fixedDraw(5),
+        interestRate: fixedDraw(10.25)
+    });
+    // A path 2% points above the base rate is 2% points above at the reset too
+    const expected = new LoanCalculator({ ...BASE_INPUTS, interestRate: 10.25, rateSchedule: [{ fromYear: 2, rate: 11 }] })
+        .calculate();
+
+    assert.equal(results.netPosition.p50[9], expected.netPosition[9]);
+});
+
+test('calculateIRR and calculateNPV agree', () => {
+    assert.ok(Math.abs(calculateIRR([-100, 110]) - 0.1) < 1e-6);
+    assert.ok(Math.abs(calculateNPV(0.1, [-100, 110])) < 1e-9);
+    assert.equal(calculateIRR([100, 110]), null);
+});
+
+test('parseInputValue converts raw text by field type', () => {
+    assert.equal(parseInputValue('price', '1,50,00,000'), 15000000);
+    assert.equal(parseInputValue('underConstruction', 'yes'), true);
+    assert.deepEqual(parseInputValue('prepayments', '[{"month":12,"amount":100000}]'), [{ month: 12, amount: 100000 }]);
+    assert.throws(() => parseInputValue('price', 'abc'), /price: "abc" is not a number/);
+});